@@ -0,0 +1,116 @@
+import Emitter from "./Emitter.js";
+import PlaybackScheduler from "./PlaybackScheduler.js";
+import { playOrder, compileTimeline } from "./arrangement.js";
+
+/**
+ * Transport for an arrangement. Each pass of the arrangement is compiled to
+ * a timeline and played by a PlaybackScheduler; when it wraps around, the
+ * next pass is compiled according to the loop mode.
+ *
+ * Events:
+ * - `step` ({ index, value, duration, entryIndex }): a step begins
+ * - `progress` ({ mark, marks, step, steps, cycle }): position for the UI
+ * - `start`, `stop`: the transport started or stopped
+ */
+class ArrangementPlayer extends Emitter {
+  constructor() {
+    super();
+    this.scheduler = new PlaybackScheduler();
+    this.arrangement = { entries: [], loopMode: "none" };
+    this.sequences = [];
+    this.cycle = 0;
+    this.order = [];
+    this.timeline = compileTimeline([], [], []);
+
+    this.scheduler.on("step", (step) => {
+      this.emit("step", { ...step, entryIndex: this.timeline.stepEntries[step.index] });
+    });
+    this.scheduler.on("position", (index) => this.emit("progress", this.progress(index)));
+    this.scheduler.on("loop", () => this.nextCycle());
+    this.scheduler.on("start", () => this.emit("start"));
+    this.scheduler.on("stop", () => this.emit("stop"));
+  }
+
+  get playing() {
+    return this.scheduler.playing;
+  }
+
+  // Picks up edits to the arrangement or its sequences, keeping the position
+  setArrangement(arrangement, sequences) {
+    const reorder = arrangement.entries.length !== this.arrangement.entries.length ||
+      arrangement.loopMode !== this.arrangement.loopMode;
+    this.arrangement = arrangement;
+    this.sequences = sequences;
+    if (reorder) this.order = playOrder(arrangement.entries.length, arrangement.loopMode, this.cycle);
+    this.compile();
+  }
+
+  compile() {
+    this.timeline = compileTimeline(this.arrangement.entries, this.order, this.sequences);
+    this.scheduler.setSequence(this.timeline);
+    if (!this.timeline.values.length) this.stop();
+  }
+
+  play() {
+    this.cycle = 0;
+    this.order = playOrder(this.arrangement.entries.length, this.arrangement.loopMode, 0);
+    this.compile();
+    this.scheduler.seek(0);
+    this.scheduler.start(0);
+  }
+
+  stop() {
+    this.scheduler.stop();
+  }
+
+  // Jumps to the start of the next entry
+  next() {
+    const mark = this.currentMark();
+    const next = this.timeline.marks[mark + 1];
+    if (next) this.scheduler.seek(next.start);
+  }
+
+  // Jumps to the start of the current entry, or the previous one when
+  // already at the start
+  previous() {
+    const mark = this.currentMark();
+    const current = this.timeline.marks[mark];
+    if (!current) return;
+    const target = this.scheduler.position > current.start || mark === 0
+      ? current
+      : this.timeline.marks[mark - 1];
+    this.scheduler.seek(target.start);
+  }
+
+  nextCycle() {
+    const { entries, loopMode } = this.arrangement;
+    if (loopMode === "none") {
+      this.stop();
+      this.scheduler.seek(0);
+      return;
+    }
+    this.cycle++;
+    this.order = playOrder(entries.length, loopMode, this.cycle);
+    this.compile();
+  }
+
+  currentMark(index = this.scheduler.position) {
+    const marks = this.timeline.marks;
+    for (let i = marks.length - 1; i >= 0; i--) {
+      if (index >= marks[i].start) return i;
+    }
+    return 0;
+  }
+
+  progress(index = this.scheduler.position) {
+    return {
+      mark: this.currentMark(index),
+      marks: this.timeline.marks.length,
+      step: index,
+      steps: this.timeline.values.length,
+      cycle: this.cycle,
+    };
+  }
+}
+
+export default ArrangementPlayer;
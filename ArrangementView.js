@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useMemo } from "react";
+import cx from "classnames";
+import ArrangementPlayer from "./ArrangementPlayer.js";
+import { LOOP_MODES, createEntry } from "./arrangement.js";
+import { resolveRoutes } from "./routing.js";
+import { toFunscript } from "./funscript.js";
+import { downloadFile } from "./files.js";
+
+// Mixer track the arrangement plays on
+const TRACK_ID = "arrangement";
+
+// Key identifying which devices and actuators a list of targets plays on
+function targetsKey(targets) {
+  return targets.map(({ device, actuators }) => `${device.Index}:${actuators.join(",")}`).join(";");
+}
+
+// Arrangement editor with its own transport. Each entry plays on the routes
+// of its sequence, through the mixer like any other track.
+function ArrangementView({ arrangement, setArrangement, sequences, device, devices, mixer }) {
+  const player = useMemo(() => new ArrangementPlayer(), []);
+  const [playing, setPlaying] = useState(false);
+  const [progress, setProgress] = useState(player.progress());
+  const { entries, loopMode } = arrangement;
+
+  const sequenceLabel = (sequenceId) => {
+    const index = sequences.findIndex((sequence) => sequence.id === sequenceId);
+    return index >= 0 ? `sequence ${index + 1}` : "(missing)";
+  };
+  const setEntries = (entries) => setArrangement({ ...arrangement, entries });
+  const setEntry = (i, changes) => setEntries(entries.map((entry, j) => (j === i ? { ...entry, ...changes } : entry)));
+  const moveEntry = (i, offset) => {
+    const j = i + offset;
+    if (j < 0 || j >= entries.length) return;
+    const newEntries = entries.slice(0);
+    [newEntries[i], newEntries[j]] = [newEntries[j], newEntries[i]];
+    setEntries(newEntries);
+  };
+
+  // Keep the player on the latest edits without interrupting playback
+  useEffect(() => {
+    player.setArrangement(arrangement, sequences);
+  }, [player, arrangement, sequences]);
+
+  // Effect to follow the transport, releasing the output when it stops
+  useEffect(() => {
+    const unsubscribe = [
+      player.on("progress", setProgress),
+      player.on("start", () => setPlaying(true)),
+      player.on("stop", () => {
+        setPlaying(false);
+        mixer.release(TRACK_ID);
+      }),
+      mixer.safety.on("panic", () => player.stop()),
+    ];
+    return () => {
+      unsubscribe.forEach((off) => off());
+      player.stop();
+      mixer.release(TRACK_ID);
+    };
+  }, [player, mixer]);
+
+  // Effect to send each step to the routes of the entry's sequence
+  useEffect(() => {
+    let current = "";
+    return player.on("step", ({ value, duration, entryIndex }) => {
+      const entry = player.arrangement.entries[entryIndex];
+      const sequence = entry && player.sequences.find((sequence) => sequence.id === entry.sequenceId);
+      if (!sequence) return;
+      const targets = resolveRoutes(sequence.routes, devices, device);
+      // Let go of the previous entry's devices when the routing changes
+      if (targetsKey(targets) !== current) mixer.release(TRACK_ID);
+      current = targetsKey(targets);
+      mixer.write(TRACK_ID, targets, value, Math.floor(duration * 0.9));
+    });
+  }, [player, mixer, devices, device]);
+
+  const currentMark = player.timeline.marks[progress.mark];
+  const currentEntry = playing && currentMark ? currentMark.entryIndex : -1;
+
+  return (
+    <div className="arrangement">
+      <h2>arrangement</h2>
+      <div className="transport">
+        <button onClick={() => player.previous()} disabled={!playing}>previous</button>
+        <button onClick={() => (playing ? player.stop() : player.play())} disabled={!entries.length}>
+          {playing ? "stop" : "play"}
+        </button>
+        <button onClick={() => player.next()} disabled={!playing}>next</button>
+        <select
+          value={loopMode}
+          onChange={(e) => setArrangement({ ...arrangement, loopMode: e.target.value })}
+        >
+          {LOOP_MODES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => downloadFile("arrangement.funscript", JSON.stringify(toFunscript([player.timeline])))}
+          disabled={!entries.length}
+        >
+          export
+        </button>
+      </div>
+      <div className="progress">
+        <progress value={progress.step + 1} max={Math.max(1, progress.steps)} />
+        {playing
+          ? ` entry ${progress.mark + 1}/${progress.marks} · step ${progress.step + 1}/${progress.steps}`
+          : null}
+      </div>
+      <ol className="entries">
+        {entries.map((entry, i) => (
+          <li key={entry.id} className={cx({ current: currentEntry === i })}>
+            <select value={entry.sequenceId} onChange={(e) => setEntry(i, { sequenceId: e.target.value })}>
+              {sequences.some((sequence) => sequence.id === entry.sequenceId) ? null : (
+                <option value={entry.sequenceId} disabled>(missing)</option>
+              )}
+              {sequences.map((sequence) => (
+                <option key={sequence.id} value={sequence.id}>{sequenceLabel(sequence.id)}</option>
+              ))}
+            </select>
+            <label>
+              repeat:
+              <input
+                type="number"
+                min="1"
+                value={entry.repeat}
+                onChange={(e) => setEntry(i, { repeat: Math.max(1, Math.round(Number(e.target.value)) || 1) })}
+              />
+            </label>
+            <label>
+              crossfade steps:
+              <input
+                type="number"
+                min="0"
+                value={entry.crossfade}
+                onChange={(e) => setEntry(i, { crossfade: Math.max(0, Number(e.target.value)) })}
+              />
+            </label>
+            <button onClick={() => moveEntry(i, -1)} disabled={i === 0}>up</button>
+            <button onClick={() => moveEntry(i, 1)} disabled={i === entries.length - 1}>down</button>
+            <button onClick={() => setEntries(entries.filter((_, j) => j !== i))}>remove</button>
+          </li>
+        ))}
+      </ol>
+      <button
+        onClick={() => setEntries([...entries, createEntry(sequences[0].id)])}
+        disabled={!sequences.length}
+      >
+        add entry
+      </button>
+    </div>
+  );
+}
+
+export default ArrangementView;
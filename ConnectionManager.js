@@ -0,0 +1,176 @@
+import Emitter from "./Emitter.js";
+
+export const DEFAULT_SERVER_ADDRESS = "ws://localhost:12345";
+
+// Statuses the connection goes through
+export const STATUS_LABELS = {
+  disconnected: "disconnected",
+  connecting: "connecting to intiface...",
+  connected: "connected",
+  reconnecting: "connection lost, retrying",
+};
+
+let initializing = null;
+
+/**
+ * Keeps a Buttplug client connected to an Intiface server. A failed or
+ * dropped connection is retried with exponential backoff until `disconnect`
+ * is called.
+ *
+ * Events:
+ * - `change` (state): the status, devices, scanning state or error changed
+ * - `deviceremoved` (device): a device went away
+ * - `disconnect`: an open connection dropped
+ */
+class ConnectionManager extends Emitter {
+  constructor({ name = "vibe sequencer", address = DEFAULT_SERVER_ADDRESS, minDelay = 1000, maxDelay = 30000 } = {}) {
+    super();
+    this.name = name;
+    this.address = address;
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.client = null;
+    this.status = "disconnected";
+    this.error = null;
+    this.devices = [];
+    this.scanning = false;
+    this.attempt = 0;
+    this.retryTimer = null;
+    this.retryAt = null;
+    // Whether the connection should be kept up
+    this.wanted = false;
+  }
+
+  /**
+   * A snapshot of the connection, for the UI.
+   * @returns {{status: string, error: ?string, devices: Object[], scanning: boolean, address: string, retryAt: ?number}}
+   */
+  state() {
+    const { status, error, devices, scanning, address, retryAt } = this;
+    return { status, error, devices, scanning, address, retryAt };
+  }
+
+  /**
+   * Connects to a server, dropping any current connection first.
+   * @param {string} [address] - The server's websocket URL.
+   */
+  async connect(address = this.address) {
+    await this.close();
+    this.address = address;
+    this.wanted = true;
+    this.attempt = 0;
+    await this.open();
+  }
+
+  // Disconnects and stops retrying
+  async disconnect() {
+    this.wanted = false;
+    await this.close();
+    this.update({ status: "disconnected", error: null });
+  }
+
+  async startScanning() {
+    if (!this.client) return;
+    try {
+      await this.client.startScanning();
+      this.update({ scanning: true });
+    } catch (error) {
+      this.update({ error: `Failed to start scanning: ${error.message}` });
+    }
+  }
+
+  async stopScanning() {
+    if (!this.client) return;
+    try {
+      await this.client.stopScanning();
+    } catch (error) {
+      this.update({ error: `Failed to stop scanning: ${error.message}` });
+    }
+    this.update({ scanning: false });
+  }
+
+  async open() {
+    clearTimeout(this.retryTimer);
+    this.update({ status: "connecting", retryAt: null });
+    let client = null;
+    const current = () => this.client === client;
+
+    try {
+      client = new Buttplug.ButtplugClient(this.name);
+      client.on("deviceadded", () => current() && this.update({ devices: client.Devices }));
+      client.on("deviceremoved", (device) => {
+        if (!current()) return;
+        this.update({ devices: client.Devices });
+        this.emit("deviceremoved", device);
+      });
+      client.on("scanningfinished", () => current() && this.update({ scanning: false }));
+      client.on("serverdisconnect", () => {
+        if (!current()) return;
+        this.client = null;
+        this.update({ status: "disconnected", devices: [], scanning: false, error: "The connection to intiface dropped" });
+        this.emit("disconnect");
+        if (this.wanted) this.retry();
+      });
+      this.client = client;
+      // A failed initialization is tried again by the next attempt
+      if (!initializing) {
+        initializing = Buttplug.buttplugInit().catch((error) => {
+          initializing = null;
+          throw error;
+        });
+      }
+      await initializing;
+      const options = new Buttplug.ButtplugWebsocketConnectorOptions();
+      options.Address = this.address;
+      await client.connect(options);
+    } catch (error) {
+      // A client replaced by a newer attempt is left alone
+      if (client && !current()) return;
+      console.error("Failed to connect to intiface:", error);
+      this.client = null;
+      this.update({ error: `Failed to connect to ${this.address}: ${error.message || error}` });
+      if (this.wanted) this.retry();
+      return;
+    }
+    // A client that connected after a newer attempt replaced it is dropped
+    if (!current()) {
+      await this.disconnectClient(client);
+      return;
+    }
+    this.attempt = 0;
+    this.update({ status: "connected", error: null, devices: client.Devices });
+    await this.startScanning();
+  }
+
+  // Tries again after a delay that doubles with every failed attempt
+  retry() {
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(2, this.attempt));
+    this.attempt++;
+    this.retryTimer = setTimeout(() => this.open(), delay);
+    this.update({ status: "reconnecting", retryAt: Date.now() + delay });
+  }
+
+  async close() {
+    clearTimeout(this.retryTimer);
+    const client = this.client;
+    this.client = null;
+    this.update({ devices: [], scanning: false, retryAt: null });
+    if (client) await this.disconnectClient(client);
+  }
+
+  async disconnectClient(client) {
+    if (!client.Connected) return;
+    try {
+      await client.disconnect();
+    } catch (error) {
+      console.error("Failed to disconnect from intiface:", error);
+    }
+  }
+
+  update(changes) {
+    Object.assign(this, changes);
+    this.emit("change", this.state());
+  }
+}
+
+export default ConnectionManager;
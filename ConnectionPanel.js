@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from "react";
+import { STATUS_LABELS } from "./ConnectionManager.js";
+
+// Intiface server address, connection status and scanning controls
+function ConnectionPanel({ connection, state, onDisconnect }) {
+  const [address, setAddress] = useState(state.address);
+  const [now, setNow] = useState(Date.now());
+  const { status, error, scanning, retryAt } = state;
+
+  // Effect to count down to the next reconnect attempt
+  useEffect(() => {
+    if (!retryAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  const retryIn = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : null;
+
+  return (
+    <div className="connection">
+      <label>
+        server:
+        <input type="text" value={address} onChange={(e) => setAddress(e.target.value)} />
+      </label>
+      <button onClick={() => connection.connect(address)}>
+        {status === "disconnected" ? "connect" : "reconnect"}
+      </button>
+      <button onClick={onDisconnect} disabled={status === "disconnected"}>disconnect</button>
+      <button
+        onClick={() => (scanning ? connection.stopScanning() : connection.startScanning())}
+        disabled={status !== "connected"}
+      >
+        {scanning ? "stop scanning" : "scan for devices"}
+      </button>
+      <span className={`status ${status}`}>
+        {STATUS_LABELS[status]}
+        {retryIn !== null ? ` in ${retryIn}s` : null}
+      </span>
+      {error ? <div className="error">{error}</div> : null}
+    </div>
+  );
+}
+
+export default ConnectionPanel;
@@ -0,0 +1,27 @@
+// Minimal event emitter for the playback and device modules.
+// `on` returns an unsubscribe function so it can be returned from a React effect.
+class Emitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners[event];
+    if (!listeners) return;
+    this.listeners[event] = listeners.filter((l) => l !== listener);
+  }
+
+  emit(event, ...args) {
+    const listeners = this.listeners[event];
+    if (!listeners) return;
+    listeners.slice().forEach((listener) => listener(...args));
+  }
+}
+
+export default Emitter;
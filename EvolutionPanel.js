@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useMemo } from "react";
+import cx from "classnames";
+import PlaybackScheduler from "./PlaybackScheduler.js";
+import { resolveRoutes } from "./routing.js";
+import { MIN_ROWS, MAX_ROWS, createSequence } from "./sequences.js";
+import { MAX_RATING, createPopulation, breed, addCandidate } from "./evolution.js";
+import { loadEvolution, saveEvolution } from "./storage.js";
+
+// Mixer track candidates are auditioned on
+const TRACK_ID = "evolution";
+
+// Small bar chart of a candidate's levels
+function MiniGrid({ values, playingIndex }) {
+  return (
+    <div className="mini-grid">
+      {values.map((level, i) => (
+        <div key={i} className={cx("mini-step", { playing: playingIndex === i })}>
+          <div style={{ height: `${level * 100}%` }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Interactive evolution: a population of candidate patterns to audition,
+// rate and star, from which the next generation is bred. The population is
+// saved, so evolution carries on across sessions.
+function EvolutionPanel({ sequences, onAdd, device, devices, mixer }) {
+  const scheduler = useMemo(() => new PlaybackScheduler(), []);
+  const [open, setOpen] = useState(false);
+  const [evolution, setEvolution] = useState(loadEvolution);
+  const [auditioning, setAuditioning] = useState(null);
+  const [playingIndex, setPlayingIndex] = useState(-1);
+  const [sourceId, setSourceId] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { candidates } = evolution;
+  const source = sequences.find(({ id }) => id === sourceId) || sequences[0];
+  // Auditions play on the selected device only, so they need one selected that
+  // can vibrate or stroke
+  const canAudition = resolveRoutes(null, devices, device).length > 0;
+
+  // Effect to save the population whenever it changes
+  useEffect(() => {
+    saveEvolution(evolution);
+  }, [evolution]);
+
+  // Effect to play the auditioned candidate on the selected device
+  const auditioned = candidates.find(({ id }) => id === auditioning);
+  const auditionedValues = auditioned ? auditioned.values : null;
+  useEffect(() => {
+    if (!auditionedValues) return;
+    const targets = resolveRoutes(null, devices, device);
+    scheduler.setSequence({ values: auditionedValues, duration: evolution.duration });
+    const unsubscribe = [
+      scheduler.on("step", ({ value, duration }) => mixer.write(TRACK_ID, targets, value, Math.floor(duration * 0.9))),
+      scheduler.on("position", setPlayingIndex),
+      mixer.safety.on("panic", () => {
+        scheduler.stop();
+        setAuditioning(null);
+      }),
+    ];
+    scheduler.seek(0);
+    scheduler.start(0);
+    return () => {
+      unsubscribe.forEach((off) => off());
+      scheduler.stop();
+      mixer.release(TRACK_ID);
+      setPlayingIndex(-1);
+    };
+  }, [auditionedValues, evolution.duration, scheduler, mixer, devices, device]);
+
+  const setSetting = (key, value) => setEvolution({ ...evolution, [key]: value });
+  const setCandidate = (id, changes) => setEvolution({
+    ...evolution,
+    candidates: candidates.map((candidate) => (candidate.id === id ? { ...candidate, ...changes } : candidate)),
+  });
+
+  const restart = async () => {
+    if (candidates.length && !window.confirm("Replace the population with new random patterns?")) return;
+    setBusy(true);
+    setAuditioning(null);
+    try {
+      setEvolution(await createPopulation(evolution));
+      setError(null);
+    } catch (error) {
+      console.error("Failed to create a population:", error);
+      setError(error.message);
+    }
+    setBusy(false);
+  };
+
+  const nextGeneration = () => {
+    try {
+      setAuditioning(null);
+      setEvolution(breed(evolution));
+      setError(null);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const addSource = () => {
+    if (!source) return;
+    setEvolution(addCandidate(evolution, source.values, `sequence ${sequences.indexOf(source) + 1}`));
+  };
+
+  // Copies a candidate into a new sequence
+  const copyToSequence = ({ values }) => {
+    onAdd({
+      ...createSequence(values.length),
+      mode: "manual",
+      values,
+      rows: evolution.rows,
+      duration: evolution.duration,
+    });
+  };
+
+  return (
+    <div className="evolution">
+      <h2>
+        evolution{" "}
+        <button onClick={() => setOpen(!open)}>{open ? "hide" : "show"}</button>
+      </h2>
+      {open ? (
+        <React.Fragment>
+          <div className="evolution-controls">
+            <span>generation {evolution.generation}</span>
+            <label>
+              population
+              <input
+                type="number"
+                min={2}
+                max={32}
+                value={evolution.size}
+                onChange={(e) => setSetting("size", Math.max(2, Math.min(32, Number(e.target.value) || 2)))}
+              />
+            </label>
+            <label>
+              steps
+              <input
+                type="number"
+                min={4}
+                max={64}
+                value={evolution.columns}
+                onChange={(e) => setSetting("columns", Math.max(4, Math.min(64, Number(e.target.value) || 4)))}
+                title="Takes effect with a new population"
+              />
+            </label>
+            <label>
+              rows
+              <input
+                type="number"
+                min={MIN_ROWS}
+                max={MAX_ROWS}
+                value={evolution.rows}
+                onChange={(e) => setSetting(
+                  "rows", Math.max(MIN_ROWS, Math.min(MAX_ROWS, Number(e.target.value) || MIN_ROWS))
+                )}
+                title="The levels patterns are bred and used with"
+              />
+            </label>
+            <label>
+              step ms
+              <input
+                type="number"
+                min={20}
+                value={evolution.duration}
+                onChange={(e) => setSetting("duration", Math.max(20, Number(e.target.value) || 20))}
+              />
+            </label>
+            <label>
+              mutation
+              <input
+                type="number"
+                min={0}
+                max={1}
+                step={0.05}
+                value={evolution.mutationRate}
+                onChange={(e) => setSetting("mutationRate", Math.max(0, Math.min(1, Number(e.target.value) || 0)))}
+              />
+            </label>
+            <button onClick={restart} disabled={busy}>new population</button>
+            <button onClick={nextGeneration} disabled={busy || !candidates.length}>breed next generation</button>
+            <select value={source ? source.id : ""} onChange={(e) => setSourceId(e.target.value)}>
+              {sequences.map((sequence, i) => (
+                <option key={sequence.id} value={sequence.id}>sequence {i + 1}</option>
+              ))}
+            </select>
+            <button onClick={addSource} disabled={!source}>add to population</button>
+          </div>
+          {error ? <div className="error">{error}</div> : null}
+          {!candidates.length ? <div>no population yet</div> : null}
+          <ul className="evolution-candidates">
+            {candidates.map((candidate) => (
+              <li key={candidate.id} className={cx({ starred: candidate.starred })}>
+                <MiniGrid values={candidate.values} playingIndex={auditioning === candidate.id ? playingIndex : -1} />
+                <div className="evolution-origin">{candidate.origin}</div>
+                <div>
+                  <button
+                    onClick={() => setAuditioning(auditioning === candidate.id ? null : candidate.id)}
+                    disabled={!canAudition && auditioning !== candidate.id}
+                    title={canAudition ? null : "Connect a device to audition"}
+                  >
+                    {auditioning === candidate.id ? "stop" : "audition"}
+                  </button>
+                  <button onClick={() => setCandidate(candidate.id, { starred: !candidate.starred })}>
+                    {candidate.starred ? "★" : "☆"}
+                  </button>
+                  <select
+                    value={candidate.rating}
+                    onChange={(e) => setCandidate(candidate.id, { rating: Number(e.target.value) })}
+                    title="rating"
+                  >
+                    {Array.from({ length: MAX_RATING + 1 }, (_, rating) => (
+                      <option key={rating} value={rating}>{rating ? `${rating}/${MAX_RATING}` : "unrated"}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => copyToSequence(candidate)}>use</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </React.Fragment>
+      ) : null}
+    </div>
+  );
+}
+
+export default EvolutionPanel;
@@ -0,0 +1,136 @@
+import { get, put } from "./idb.js";
+
+const STORE = "history";
+
+/**
+ * Undo/redo stack of app states, saved to IndexedDB so it survives a
+ * reload without eating into the localStorage quota the app state needs.
+ * Callers record the state they are about to replace; records made under
+ * the same group key are merged into one undo step until `endGroup` is
+ * called, which is how a continuous drag becomes a single step. Saving waits
+ * until a group ends or the history has been quiet for `delay` ms.
+ *
+ * The history is saved with the `version` of the states' format. When it's
+ * loaded, `validate(state, version)` brings each state up to date, returning
+ * null for one that can't be used, in which case the whole history is
+ * dropped.
+ */
+class History {
+  constructor({ key = "undo", limit = 100, delay = 1000, version = 0, validate = (state) => state } = {}) {
+    this.key = key;
+    this.limit = limit;
+    this.delay = delay;
+    this.version = version;
+    this.validate = validate;
+    this.group = null;
+    this.past = [];
+    this.future = [];
+    this.timer = null;
+  }
+
+  /**
+   * Restores the saved history, unless something was recorded meanwhile.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let saved = null;
+    try {
+      saved = await get(STORE, this.key);
+    } catch (error) {
+      console.error("Failed to restore undo history:", error);
+    }
+    if (this.past.length || this.future.length) return;
+    if (!saved || !Number.isInteger(saved.version) || !Array.isArray(saved.past) || !Array.isArray(saved.future)) {
+      return;
+    }
+    const version = saved.version;
+    const past = saved.past.slice(-this.limit).map((state) => this.validate(state, version));
+    const future = saved.future.slice(0, this.limit).map((state) => this.validate(state, version));
+    if (![...past, ...future].every(Boolean)) {
+      console.warn("Dropped an undo history that could not be read");
+      return;
+    }
+    this.past = past;
+    this.future = future;
+    // Store older states again in their current form
+    if (version !== this.version) this.scheduleSave();
+  }
+
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * Records the state about to be replaced.
+   * @param {*} state - The current state.
+   * @param {string} [group] - Merges with the previous record of the same group.
+   */
+  record(state, group) {
+    if (!group || group !== this.group) {
+      this.past = [...this.past, state].slice(-this.limit);
+    }
+    this.group = group || null;
+    this.future = [];
+    this.scheduleSave();
+  }
+
+  // Closes the current group, so the next record starts a new undo step
+  endGroup() {
+    if (this.group) this.flush();
+    this.group = null;
+  }
+
+  /**
+   * Steps back.
+   * @param {*} current - The current state, kept for redo.
+   * @returns {*} - The state to restore, or undefined if there is none.
+   */
+  undo(current) {
+    if (!this.canUndo) return undefined;
+    const state = this.past[this.past.length - 1];
+    this.past = this.past.slice(0, -1);
+    this.future = [current, ...this.future].slice(0, this.limit);
+    this.group = null;
+    this.scheduleSave();
+    return state;
+  }
+
+  /**
+   * Steps forward again after an undo.
+   * @param {*} current - The current state, kept for undo.
+   * @returns {*} - The state to restore, or undefined if there is none.
+   */
+  redo(current) {
+    if (!this.canRedo) return undefined;
+    const state = this.future[0];
+    this.future = this.future.slice(1);
+    this.past = [...this.past, current].slice(-this.limit);
+    this.group = null;
+    this.scheduleSave();
+    return state;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.save(), this.delay);
+  }
+
+  // Saves at once if a save is waiting
+  flush() {
+    if (this.timer) this.save();
+  }
+
+  save() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    put(STORE, { key: this.key, version: this.version, past: this.past, future: this.future }).catch((error) => {
+      console.error("Failed to save undo history:", error);
+    });
+  }
+}
+
+export default History;
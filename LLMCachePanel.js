@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  listCachedResponses,
+  pinCachedResponse,
+  deleteCachedResponse,
+  clearCache,
+} from "./llmCache.js";
+
+// Browser for the cached LLM responses. Pinned responses survive "clear".
+function LLMCachePanel() {
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [filter, setFilter] = useState("");
+  const [error, setError] = useState(null);
+
+  // Callback to run a cache operation and reload the list after it
+  const update = useCallback(async (operation) => {
+    try {
+      if (operation) await operation();
+      setEntries(await listCachedResponses());
+      setError(null);
+    } catch (error) {
+      console.error("LLM cache error:", error);
+      setError(error.message);
+    }
+  }, []);
+
+  // Effect to load the cache whenever the panel is opened
+  useEffect(() => {
+    if (open) update();
+  }, [open, update]);
+
+  const search = filter.trim().toLowerCase();
+  const shown = search
+    ? entries.filter(({ model, prompt }) => `${model} ${prompt}`.toLowerCase().includes(search))
+    : entries;
+
+  return (
+    <div className="llm-cache">
+      <h2>
+        llm cache{" "}
+        <button onClick={() => setOpen(!open)}>{open ? "hide" : "browse"}</button>
+      </h2>
+      {open ? (
+        <React.Fragment>
+          <div className="llm-cache-controls">
+            <input type="text" placeholder="filter" value={filter} onChange={(e) => setFilter(e.target.value)} />
+            <button onClick={() => update()}>refresh</button>
+            <button onClick={() => update(() => clearCache())} disabled={!entries.length}>clear unpinned</button>
+            <button onClick={() => update(() => clearCache({ keepPinned: false }))} disabled={!entries.length}>
+              clear all
+            </button>
+          </div>
+          {error ? <div className="error">{error}</div> : null}
+          <ul className="llm-cache-entries">
+            {shown.map((entry) => (
+              <li key={entry.key}>
+                <div>
+                  <strong>{entry.model}</strong>, seed {entry.seed === null ? "none" : entry.seed},{" "}
+                  {new Date(entry.created).toLocaleString()}
+                  {entry.pinned ? " (pinned)" : null}
+                </div>
+                <div className="llm-cache-prompt" title={entry.prompt}>{entry.prompt.split("\n")[0]}</div>
+                <button onClick={() => update(() => pinCachedResponse(entry.key, !entry.pinned))}>
+                  {entry.pinned ? "unpin" : "pin"}
+                </button>
+                <button onClick={() => update(() => deleteCachedResponse(entry.key))}>delete</button>
+              </li>
+            ))}
+          </ul>
+          {!shown.length ? <div>no cached responses</div> : null}
+        </React.Fragment>
+      ) : null}
+    </div>
+  );
+}
+
+export default LLMCachePanel;
@@ -1,31 +1,175 @@
+import { createBackend, DEFAULT_BACKEND, DEFAULT_ENDPOINTS, DEFAULT_TIMEOUT } from './llmBackends.js';
+
+// How the level moves from one keyframe to the next
+export const KEYFRAME_CURVES = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'step'];
+
+// JSON schema the model's reply must follow, passed on to the backend.
+// Times run from 0 (start of the pattern) to 1 (end), intensities from 0 to 1.
+export const KEYFRAME_SCHEMA = {
+  type: 'object',
+  properties: {
+    keyframes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          time: { type: 'number' },
+          intensity: { type: 'number' },
+          curve: { type: 'string', enum: KEYFRAME_CURVES }
+        },
+        required: ['time', 'intensity']
+      }
+    }
+  },
+  required: ['keyframes']
+};
+
+export const DEFAULT_API_URL = DEFAULT_ENDPOINTS[DEFAULT_BACKEND];
+export const DEFAULT_MODEL = 'llama2';
+
+// Mood and tempo presets offered alongside the free-text description
+export const MOODS = ['teasing', 'relaxed', 'playful', 'romantic', 'intense', 'building', 'unpredictable'];
+export const TEMPOS = ['very slow', 'slow', 'moderate', 'fast', 'very fast'];
+
+/**
+ * Builds the description sent to the model from a sequence's LLM settings.
+ * @param {Object} settings
+ * @param {string} [settings.description] - Free text from the user.
+ * @param {string} [settings.mood] - One of MOODS, or empty.
+ * @param {string} [settings.tempo] - One of TEMPOS, or empty.
+ * @returns {string} - The description.
+ */
+export function describePattern({ description = '', mood = '', tempo = '' }) {
+  const parts = [description.trim() || 'Create a vibration pattern'];
+  if (mood) parts.push(`Mood: ${mood}.`);
+  if (tempo) parts.push(`Tempo: ${tempo}.`);
+  return parts.join(' ');
+}
+
+// Replies are cached through `cache`, an object with `get(request)` and
+// `put(request, response)` returning promises, where a request is
+// `{ model, prompt, options, seed }`. The reply is cached rather than the
+// pattern, so it can be resampled to any grid without asking the model again.
+// `backend` is one of llmBackends' BACKENDS, and an empty `apiUrl` uses its
+// default endpoint. Requests give up after `timeout` ms, or never when it is
+// 0, and reject with an AbortError when the `signal` passed to them aborts.
 class LLMMovementController {
-  constructor({ apiUrl = 'http://localhost:11434/api/generate', model = 'llama2' } = {}) {
-    this.apiUrl = apiUrl;
+  constructor({
+    backend = DEFAULT_BACKEND,
+    apiUrl = '',
+    apiKey = '',
+    model = DEFAULT_MODEL,
+    cache = null,
+    timeout = DEFAULT_TIMEOUT
+  } = {}) {
+    this.backend = createBackend(backend, { endpoint: apiUrl, apiKey });
     this.model = model;
+    this.cache = cache;
+    this.timeout = timeout;
+  }
+
+  // Lists the models the server offers
+  listModels({ signal } = {}) {
+    return this.backend.listModels({ timeout: this.timeout, signal });
   }
 
   async generateMovementPrompt(description, currentState) {
-    return `Generate a natural movement pattern for: "${description}".\nCurrent state: ${JSON.stringify(currentState)}.\nMovement should be smooth and human-like.`;
+    return `Generate a natural movement pattern for: "${description}".\nCurrent state: ${JSON.stringify(currentState)}.\nMovement should be smooth and human-like.\n` +
+      'Reply with JSON only: {"keyframes": [{"time": 0, "intensity": 0.2, "curve": "ease-in"}, ...]}. ' +
+      'time runs from 0 (start) to 1 (end of the pattern), intensity from 0 (off) to 1 (strongest), ' +
+      `and curve (one of ${KEYFRAME_CURVES.join(', ')}) shapes the change towards the next keyframe. ` +
+      'Use between 4 and 16 keyframes.';
   }
 
-  async generateMovementSequence(description, duration, currentState = {}) {
+  // Network errors, timeouts and cancellation are passed on to the caller
+  async generateMovementSequence(description, duration, currentState = {}, options = {}, { signal } = {}) {
     const prompt = await this.generateMovementPrompt(description, currentState);
+    const steps = Math.floor(duration / 100);
+    const text = await this.requestResponse(prompt, options, { signal });
+    if (!text.trim()) throw new Error('The model sent an empty reply');
     try {
-      const res = await fetch(this.apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ model: this.model, prompt, stream: false })
-      });
-      const data = await res.json();
-      const text = data.response || data.generated_text || '';
+      return this.resampleKeyframes(this.parseKeyframes(text), steps);
+    } catch (error) {
+      // Models that ignore the format still tend to describe the movement
+      console.warn('Unusable keyframes, falling back to keywords:', error.message);
       const movementParams = this.parseMovementOutput(text);
       return this.convertToActuatorCommands(movementParams, duration);
-    } catch (error) {
-      console.error('Error generating movement:', error);
-      return this.generateFallbackPattern(duration);
     }
   }
 
+  // Asks the model, unless the same request has been answered before
+  async requestResponse(prompt, options, { signal } = {}) {
+    const request = { model: this.model, prompt, options, seed: options.seed === undefined ? null : options.seed };
+    if (this.cache) {
+      const cached = await this.cache.get(request).catch((error) => {
+        console.error('Failed to read the LLM cache:', error);
+        return null;
+      });
+      if (cached !== null) return cached;
+    }
+    const text = await this.backend.complete(
+      { model: this.model, prompt, options, schema: KEYFRAME_SCHEMA },
+      { timeout: this.timeout, signal }
+    );
+    if (this.cache && text) {
+      this.cache.put(request, text).catch((error) => console.error('Failed to cache the LLM reply:', error));
+    }
+    return text;
+  }
+
+  // Reads keyframes from the model's reply, repairing what it can: numbers
+  // sent as strings, out-of-range values, times given in percent or ms,
+  // unsorted or duplicate times, unknown curves and a missing start or end
+  parseKeyframes(text) {
+    const reply = parseJson(text);
+    const list = Array.isArray(reply) ? reply : reply && reply.keyframes;
+    if (!Array.isArray(list)) throw new Error('no keyframes in the reply');
+
+    let keyframes = list
+      .filter((keyframe) => keyframe && typeof keyframe === 'object')
+      .map(({ time, intensity, curve }) => ({
+        time: Number(time),
+        intensity: Number(intensity),
+        curve: KEYFRAME_CURVES.includes(curve) ? curve : 'linear'
+      }))
+      .filter(({ time, intensity }) => Number.isFinite(time) && Number.isFinite(intensity) && time >= 0);
+    if (!keyframes.length) throw new Error('no valid keyframes in the reply');
+
+    // Times or intensities past 1 were given on another scale
+    const maxTime = Math.max(...keyframes.map(({ time }) => time));
+    const maxIntensity = Math.max(...keyframes.map(({ intensity }) => intensity));
+    const timeScale = maxTime > 1 ? maxTime : 1;
+    const intensityScale = maxIntensity > 1 ? (maxIntensity <= 10 ? 10 : 100) : 1;
+    keyframes = keyframes
+      .map((keyframe) => ({
+        ...keyframe,
+        time: keyframe.time / timeScale,
+        intensity: Math.max(0, Math.min(1, keyframe.intensity / intensityScale))
+      }))
+      .sort((a, b) => a.time - b.time)
+      .filter((keyframe, i, sorted) => i === sorted.length - 1 || sorted[i + 1].time !== keyframe.time);
+
+    // The pattern holds its first and last levels up to the start and end
+    if (keyframes[0].time > 0) keyframes.unshift({ ...keyframes[0], time: 0 });
+    const last = keyframes[keyframes.length - 1];
+    if (last.time < 1) keyframes.push({ ...last, time: 1 });
+    return keyframes;
+  }
+
+  // Samples keyframes at evenly spaced steps, the first and last steps
+  // falling on the start and end of the pattern
+  resampleKeyframes(keyframes, steps) {
+    return Array.from({ length: steps }, (_, i) => {
+      const time = steps > 1 ? i / (steps - 1) : 0;
+      const next = keyframes.findIndex((keyframe) => keyframe.time > time);
+      if (next === -1) return keyframes[keyframes.length - 1].intensity;
+      const from = keyframes[next - 1];
+      const to = keyframes[next];
+      const t = (time - from.time) / (to.time - from.time);
+      return from.intensity + (to.intensity - from.intensity) * ease(from.curve, t);
+    });
+  }
+
   parseMovementOutput(text) {
     const params = {
       intensity: 0.5,
@@ -55,10 +199,31 @@ class LLMMovementController {
     }
     return commands;
   }
+}
 
-  generateFallbackPattern(duration) {
-    const steps = Math.floor(duration / 100);
-    return Array.from({ length: steps }, () => 0.5);
+// Parses a reply as JSON, or failing that the first JSON object or array in it
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = text.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw new Error('the reply is not JSON');
+    return JSON.parse(match[0]);
+  }
+}
+
+function ease(curve, t) {
+  switch (curve) {
+  case 'ease-in':
+    return t * t;
+  case 'ease-out':
+    return 1 - (1 - t) * (1 - t);
+  case 'ease-in-out':
+    return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+  case 'step':
+    return 0;
+  default:
+    return t;
   }
 }
 
@@ -0,0 +1,145 @@
+import { deviceKind, actuatorCount } from "./routing.js";
+import SafetyLimiter from "./SafetyLimiter.js";
+import { vibrationCmd, vectorCmd } from "./buttplugMessages.js";
+
+export const BLEND_MODES = [
+  { id: "max", label: "Max" },
+  { id: "average", label: "Average" },
+  { id: "sum", label: "Sum (clamped)" },
+  { id: "multiply", label: "Multiply" },
+];
+
+/**
+ * Combines the levels of several tracks playing on the same actuator.
+ * @param {number[]} levels - The tracks' levels, from 0 to 1.
+ * @param {string} mode - One of the BLEND_MODES ids.
+ * @returns {number} - The blended level, from 0 to 1.
+ */
+export function blend(levels, mode) {
+  if (!levels.length) return 0;
+  switch (mode) {
+  case "average":
+    return levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  case "sum":
+    return Math.min(1, levels.reduce((sum, level) => sum + level, 0));
+  case "multiply":
+    // Each track scales the others, so one can modulate another
+    return levels.reduce((product, level) => product * level, 1);
+  default:
+    return Math.max(...levels);
+  }
+}
+
+/**
+ * Mixes any number of playing tracks onto the devices. Each track writes its
+ * current level along with the routing targets it plays on; every actuator
+ * then receives the blend of the latest levels of all tracks routed to it,
+ * passed through the safety limiter. A device whose command fails is
+ * dropped from the mix, so one that has gone away doesn't fail on every step.
+ */
+class OutputMixer {
+  constructor(blendMode = "max", safety = new SafetyLimiter()) {
+    this.blendMode = blendMode;
+    this.tracks = new Map();
+    this.safety = safety;
+    this.failed = new WeakSet();
+    // Nothing is playing any more after a panic
+    safety.on("panic", () => this.tracks.clear());
+  }
+
+  setBlendMode(blendMode) {
+    this.blendMode = blendMode;
+  }
+
+  /**
+   * Takes note that the device list changed. Devices dropped after failing
+   * are given another chance, as one that reconnects may work again.
+   */
+  devicesChanged() {
+    this.failed = new WeakSet();
+  }
+
+  /**
+   * Sets a track's level and updates the actuators it plays on.
+   * @param {string} trackId - The track, usually a sequence id.
+   * @param {{device: Object, actuators: number[]}[]} targets - The track's routing targets.
+   * @param {number} level - The track's level, from 0 to 1.
+   * @param {number} [duration] - How long linear moves should take, in ms.
+   */
+  write(trackId, targets, level, duration) {
+    if (!this.tracks.size) this.safety.begin();
+    targets = targets.filter(({ device }) => !this.failed.has(device));
+    this.tracks.set(trackId, { targets, level });
+    targets.forEach((target) => this.send(target, duration));
+  }
+
+  /**
+   * Removes a track. Devices no other track plays on are stopped, the rest
+   * are updated with the remaining tracks' blend.
+   * @param {string} trackId - The track.
+   */
+  release(trackId) {
+    const track = this.tracks.get(trackId);
+    if (!track) return;
+    this.tracks.delete(trackId);
+    if (!this.tracks.size) this.safety.end();
+    track.targets.forEach((target) => {
+      if (this.tracksOn(target.device).length) this.send(target);
+      else this.command(target.device, () => target.device.stop());
+    });
+  }
+
+  // Runs a device command, dropping the device from the mix if it fails
+  command(device, run) {
+    try {
+      Promise.resolve(run()).catch((error) => this.drop(device, error));
+    } catch (error) {
+      this.drop(device, error);
+    }
+  }
+
+  drop(device, error) {
+    if (this.failed.has(device)) return;
+    this.failed.add(device);
+    console.error(`Failed to send to ${device.Name}, leaving it out of the mix:`, error);
+    this.tracks.forEach((track) => {
+      track.targets = track.targets.filter((target) => target.device !== device);
+    });
+  }
+
+  tracksOn(device) {
+    return Array.from(this.tracks.values()).filter(({ targets }) =>
+      targets.some((target) => target.device === device)
+    );
+  }
+
+  // Blend of the tracks playing on one actuator of a device
+  levelAt(device, actuator) {
+    const levels = this.tracksOn(device)
+      .filter(({ targets }) => targets.some((target) =>
+        target.device === device &&
+        (!target.actuators.length || target.actuators.includes(actuator))
+      ))
+      .map(({ level }) => level);
+    return blend(levels, this.blendMode);
+  }
+
+  send({ device, actuators }, duration = 0) {
+    const indices = actuators.length
+      ? actuators
+      : Array.from({ length: actuatorCount(device) }, (_, i) => i);
+    const kind = deviceKind(device);
+    const safety = this.safety;
+    if (kind === "linear") {
+      const vectors = indices.map((i) => vectorCmd(
+        i, duration, safety.limitPosition(device, i, this.levelAt(device, i), duration)
+      ));
+      this.command(device, () => device.linear(vectors));
+    } else if (kind === "vibrate") {
+      const speeds = indices.map((i) => vibrationCmd(i, safety.limitLevel(this.levelAt(device, i))));
+      this.command(device, () => device.vibrate(speeds));
+    }
+  }
+}
+
+export default OutputMixer;
@@ -0,0 +1,144 @@
+import Emitter from "./Emitter.js";
+import { stepDuration } from "./timing.js";
+
+// Shortest step played, in ms, so a sequence with steps of no length can't
+// keep the scheduler booking forever
+const MIN_STEP_DURATION = 10;
+
+/**
+ * Plays a sequence step by step against the clock rather than by counting
+ * interval ticks, so timing doesn't drift. A coarse timer wakes up every
+ * `interval` ms and books every step that starts within the next `lookahead`
+ * ms with its own timeout, computed from the step's absolute start time.
+ *
+ * The sequence can be swapped at any time with `setSequence`; playback keeps
+ * its position and picks up the new values from the next step on. Steps
+ * already booked are rebooked when the number of steps changes.
+ *
+ * Events:
+ * - `start` (index): playback started from a step
+ * - `stop` (index): playback stopped, keeping its position
+ * - `seek` (index): the position was moved
+ * - `step` ({ index, value, duration, time }): a step begins; the output hook
+ * - `position` (index): the step now playing, for the UI
+ * - `loop`: playback wrapped around from the last step to the first
+ */
+class PlaybackScheduler extends Emitter {
+  constructor({ lookahead = 100, interval = 25, now = () => performance.now() } = {}) {
+    super();
+    this.lookahead = lookahead;
+    this.interval = interval;
+    this.now = now;
+    this.sequence = null;
+    this.position = 0;
+    this.playing = false;
+    this.timer = null;
+    this.pending = new Map();
+  }
+
+  setSequence(sequence) {
+    const length = (sequence && sequence.values && sequence.values.length) || 0;
+    const previousLength = this.length;
+    this.sequence = sequence;
+    if (this.playing && length !== previousLength) this.rebook(previousLength);
+  }
+
+  get length() {
+    return (this.sequence && this.sequence.values && this.sequence.values.length) || 0;
+  }
+
+  stepDuration(index) {
+    return Math.max(MIN_STEP_DURATION, stepDuration(this.sequence, index) || 0);
+  }
+
+  start(index = this.position) {
+    if (this.playing || !this.length) return;
+    this.playing = true;
+    this.nextIndex = index % this.length;
+    this.nextTime = this.now();
+    this.booked = 0;
+    this.emit("start", this.nextIndex);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.cancelPending();
+    this.emit("stop", this.position);
+  }
+
+  seek(index) {
+    this.position = this.length ? index % this.length : 0;
+    if (this.playing) {
+      this.cancelPending();
+      this.nextIndex = this.position;
+      this.nextTime = this.now();
+      this.booked = 0;
+      this.tick();
+    }
+    this.emit("seek", this.position);
+    this.emit("position", this.position);
+  }
+
+  // Books every step starting before now + lookahead, then sleeps
+  tick() {
+    clearTimeout(this.timer);
+    if (!this.playing) return;
+    const horizon = this.now() + this.lookahead;
+    while (this.length && this.nextTime < horizon) {
+      const index = this.nextIndex % this.length;
+      const time = this.nextTime;
+      const looped = index === 0 && this.booked > 0;
+      const handle = setTimeout(() => {
+        this.pending.delete(handle);
+        this.fire(index, time, looped);
+      }, Math.max(0, time - this.now()));
+      this.pending.set(handle, { index, time, looped });
+      this.booked++;
+      this.nextTime += this.stepDuration(index);
+      this.nextIndex = (index + 1) % this.length;
+    }
+    this.timer = setTimeout(() => this.tick(), this.interval);
+  }
+
+  fire(index, time, looped) {
+    if (!this.playing || !this.length) return;
+    index %= this.length;
+    if (looped) {
+      this.emit("loop");
+      // A loop listener may have stopped playback or swapped the sequence
+      if (!this.playing || !this.length) return;
+      index %= this.length;
+    }
+    this.position = index;
+    this.emit("step", {
+      index,
+      value: this.sequence.values[index],
+      duration: this.stepDuration(index),
+      time,
+    });
+    this.emit("position", index);
+  }
+
+  // Drops the booked steps and books again from the earliest of them. A step
+  // booked as the wrap from the old last step goes on past it instead, if
+  // the sequence grew.
+  rebook(previousLength) {
+    const upcoming = Array.from(this.pending.values()).sort((a, b) => a.time - b.time)[0];
+    this.cancelPending();
+    if (upcoming) {
+      this.nextIndex = upcoming.looped ? previousLength : upcoming.index;
+      this.nextTime = upcoming.time;
+    }
+    this.tick();
+  }
+
+  cancelPending() {
+    clearTimeout(this.timer);
+    this.pending.forEach((_, handle) => clearTimeout(handle));
+    this.pending.clear();
+  }
+}
+
+export default PlaybackScheduler;
@@ -0,0 +1,58 @@
+import Emitter from "./Emitter.js";
+
+export const DEFAULT_STREAM_ADDRESS = "ws://localhost:8766";
+
+/**
+ * Subscribes to the positions tcp-bridge publishes on its local WebSocket,
+ * messages of the form `{ p, t }` with `p` from 0 to 1.
+ *
+ * Events:
+ * - `position` (p): a position arrived
+ * - `status` (status): 'connecting', 'open' or 'closed'
+ * - `error` (message): the connection failed
+ */
+class PositionStream extends Emitter {
+  constructor(address = DEFAULT_STREAM_ADDRESS) {
+    super();
+    this.address = address;
+    this.socket = null;
+  }
+
+  open() {
+    this.close();
+    let socket;
+    try {
+      socket = new WebSocket(this.address);
+    } catch (error) {
+      this.emit("error", `Invalid address ${this.address}: ${error.message}`);
+      return;
+    }
+    this.socket = socket;
+    this.emit("status", "connecting");
+    socket.onopen = () => this.emit("status", "open");
+    socket.onerror = () => this.emit("error", `Could not connect to the bridge at ${this.address}`);
+    socket.onclose = () => {
+      if (this.socket === socket) this.socket = null;
+      this.emit("status", "closed");
+    };
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      const p = message && message.p;
+      if (typeof p === "number" && p >= 0 && p <= 1) this.emit("position", p);
+    };
+  }
+
+  close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.close();
+  }
+}
+
+export default PositionStream;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { createId } from "./sequences.js";
+import {
+  listPresets,
+  savePreset,
+  renamePreset,
+  tagPreset,
+  duplicatePreset,
+  deletePreset,
+  parseTags,
+} from "./presets.js";
+
+// Library of named presets. Any sequence can be saved as a preset, and
+// loading one adds a copy of it as a new sequence.
+function PresetLibrary({ sequences, onLoad }) {
+  const [presets, setPresets] = useState([]);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState("");
+  const [sequenceId, setSequenceId] = useState("");
+  const [name, setName] = useState("");
+  const [tags, setTags] = useState("");
+
+  // Callback to run a library operation and reload the list after it
+  const update = useCallback(async (operation) => {
+    try {
+      if (operation) await operation();
+      setPresets(await listPresets());
+      setError(null);
+    } catch (error) {
+      console.error("Preset library error:", error);
+      setError(error.message);
+    }
+  }, []);
+
+  // Effect to load the library
+  useEffect(() => {
+    update();
+  }, [update]);
+
+  const selected = sequences.find((sequence) => sequence.id === sequenceId) || sequences[0];
+  const allTags = Array.from(new Set([].concat(...presets.map((preset) => preset.tags)))).sort();
+  const shown = filter ? presets.filter((preset) => preset.tags.includes(filter)) : presets;
+
+  const saveAs = () => {
+    if (!selected || !name.trim()) return;
+    update(() => savePreset(name, selected, parseTags(tags)));
+    setName("");
+    setTags("");
+  };
+
+  return (
+    <div className="preset-library">
+      <h2>presets</h2>
+      <div className="preset-save">
+        <select value={selected ? selected.id : ""} onChange={(e) => setSequenceId(e.target.value)}>
+          {sequences.map((sequence, i) => (
+            <option key={sequence.id} value={sequence.id}>sequence {i + 1}</option>
+          ))}
+        </select>
+        <input type="text" placeholder="name" value={name} onChange={(e) => setName(e.target.value)} />
+        <input type="text" placeholder="tags, comma separated" value={tags} onChange={(e) => setTags(e.target.value)} />
+        <button onClick={saveAs} disabled={!selected || !name.trim()}>save as</button>
+      </div>
+      {allTags.length ? (
+        <label>
+          tag:
+          <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value="">all</option>
+            {allTags.map((tag) => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+        </label>
+      ) : null}
+      {error ? <div className="error">{error}</div> : null}
+      <ul className="presets">
+        {shown.map((preset) => (
+          // Keyed on the saved name and tags too, so the fields reset to
+          // what's stored after each change
+          <li key={`${preset.id}:${preset.name}:${preset.tags.join(",")}`}>
+            <input
+              type="text"
+              defaultValue={preset.name}
+              onBlur={(e) => {
+                if (e.target.value !== preset.name) update(() => renamePreset(preset.id, e.target.value));
+              }}
+              onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            />
+            <input
+              type="text"
+              placeholder="tags"
+              defaultValue={preset.tags.join(", ")}
+              onBlur={(e) => {
+                if (e.target.value !== preset.tags.join(", ")) {
+                  update(() => tagPreset(preset.id, parseTags(e.target.value)));
+                }
+              }}
+              onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            />
+            <button onClick={() => onLoad({ ...preset.sequence, id: createId() })}>load</button>
+            <button onClick={() => update(() => duplicatePreset(preset.id))}>duplicate</button>
+            <button onClick={() => update(() => deletePreset(preset.id))}>delete</button>
+          </li>
+        ))}
+      </ul>
+      {!shown.length ? <div>no presets saved yet</div> : null}
+    </div>
+  );
+}
+
+export default PresetLibrary;
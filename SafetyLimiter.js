@@ -0,0 +1,135 @@
+import Emitter from "./Emitter.js";
+
+// Default safety settings:
+// - maxIntensity: highest vibration level sent, from 0 to 1
+// - maxSpeed: fastest linear movement, in position (0..1) per ms; 0 for no cap
+// - softStart: how long output ramps up for when playback begins, in ms
+// - sessionLimit: how long playback may run before it's stopped, in minutes; 0 for no limit
+export const DEFAULT_SAFETY = {
+  maxIntensity: 1,
+  maxSpeed: 0.004,
+  softStart: 3000,
+  sessionLimit: 0,
+};
+
+/**
+ * The safety stage every device command passes through. It caps vibration
+ * levels and linear speed, ramps output up when playback begins, ends
+ * sessions that run past their time limit, and stops every device on panic.
+ *
+ * Playback sources listen for the `panic` event and stop themselves, so
+ * nothing is sent after a panic until playback is started again. A `begin`
+ * event marks the start of each playback.
+ */
+class SafetyLimiter extends Emitter {
+  constructor(settings = {}, now = () => performance.now()) {
+    super();
+    this.settings = { ...DEFAULT_SAFETY, ...settings };
+    this.now = now;
+    this.devices = [];
+    // When the current playback began, or null while nothing plays
+    this.startedAt = null;
+    this.sessionTimer = null;
+    // Last position sent to each linear actuator, per device
+    this.positions = new Map();
+  }
+
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    if (this.startedAt !== null) this.scheduleSessionLimit();
+  }
+
+  // Devices stopped on panic
+  setDevices(devices) {
+    this.devices = devices;
+  }
+
+  // Marks the start of playback, starting the soft-start ramp and the session clock
+  begin() {
+    if (this.startedAt !== null) return;
+    this.startedAt = this.now();
+    this.scheduleSessionLimit();
+    this.emit("begin");
+  }
+
+  // Marks the end of playback
+  end() {
+    this.startedAt = null;
+    clearTimeout(this.sessionTimer);
+  }
+
+  get playing() {
+    return this.startedAt !== null;
+  }
+
+  /**
+   * How far the soft-start ramp has come.
+   * @returns {number} - From 0 when playback begins up to 1.
+   */
+  ramp() {
+    const { softStart } = this.settings;
+    if (!softStart || this.startedAt === null) return 1;
+    return Math.max(0, Math.min(1, (this.now() - this.startedAt) / softStart));
+  }
+
+  /**
+   * Limits a vibration level.
+   * @param {number} level - The requested level, from 0 to 1.
+   * @returns {number} - The level to send.
+   */
+  limitLevel(level) {
+    return Math.min(level, this.settings.maxIntensity) * this.ramp();
+  }
+
+  /**
+   * Limits a linear move. During soft start the stroke is scaled down, and
+   * the move is cut short where it would exceed the speed cap. An axis not
+   * moved before is taken to start from 0, so its first move is limited too.
+   * @param {Object} device - The device.
+   * @param {number} actuator - The axis index.
+   * @param {number} position - The requested position, from 0 to 1.
+   * @param {number} duration - How long the move takes, in ms.
+   * @returns {number} - The position to send.
+   */
+  limitPosition(device, actuator, position, duration) {
+    if (!this.positions.has(device)) this.positions.set(device, new Map());
+    const positions = this.positions.get(device);
+    const from = positions.has(actuator) ? positions.get(actuator) : 0;
+
+    let delta = (position - from) * this.ramp();
+    const { maxSpeed } = this.settings;
+    if (maxSpeed > 0) {
+      const reach = maxSpeed * duration;
+      delta = Math.max(-reach, Math.min(reach, delta));
+    }
+    const limited = from + delta;
+    positions.set(actuator, limited);
+    return limited;
+  }
+
+  /**
+   * Stops every device and tells playback sources to stop.
+   * @param {string} reason - Why, shown to the user.
+   */
+  panic(reason) {
+    this.end();
+    this.emit("panic", reason);
+    this.devices.forEach((device) => {
+      try {
+        Promise.resolve(device.stop()).catch((error) => console.error("Failed to stop device:", error));
+      } catch (error) {
+        console.error("Failed to stop device:", error);
+      }
+    });
+  }
+
+  scheduleSessionLimit() {
+    clearTimeout(this.sessionTimer);
+    const { sessionLimit } = this.settings;
+    if (!sessionLimit) return;
+    const remaining = this.startedAt + sessionLimit * 60000 - this.now();
+    this.sessionTimer = setTimeout(() => this.panic("session time limit reached"), Math.max(0, remaining));
+  }
+}
+
+export default SafetyLimiter;
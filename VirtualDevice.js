@@ -0,0 +1,152 @@
+import Emitter from "./Emitter.js";
+import { messageType } from "./buttplugMessages.js";
+
+// Message type names, as used in a Buttplug device's AllowedMessages
+const MESSAGE_TYPES = { vibrate: "VibrateCmd", linear: "LinearCmd" };
+
+/**
+ * An on-screen stand-in for a Buttplug device, for auditioning patterns
+ * without hardware or Intiface. It has the same surface the app drives real
+ * devices through (Name, Index, AllowedMessages, messageAttributes, vibrate,
+ * linear and stop) and keeps every command it receives in `commands`, so
+ * tests can check the exact command stream.
+ *
+ * Commands are recorded as `{ time, type, actuators }`, where `actuators`
+ * lists `{ index, speed }` for vibrate, `{ index, position, duration }` for
+ * linear, and is empty for stop.
+ *
+ * Events:
+ * - `command` (command): a command was received
+ */
+class VirtualDevice extends Emitter {
+  constructor({
+    name = "Virtual device",
+    index = -1,
+    kind = "vibrate",
+    actuators = 1,
+    maxCommands = 10000,
+    now = () => performance.now(),
+  } = {}) {
+    super();
+    this.Name = name;
+    this.Index = index;
+    this.kind = kind;
+    this.AllowedMessages = [messageType(MESSAGE_TYPES[kind]), messageType("StopDeviceCmd")];
+    this.featureCount = actuators;
+    this.maxCommands = maxCommands;
+    this.now = now;
+    this.commands = [];
+    // Current vibration speed of each motor
+    this.speeds = Array(actuators).fill(0);
+    // Current move of each linear axis, from which positions are interpolated
+    this.moves = Array.from({ length: actuators }, () => ({ from: 0, to: 0, start: 0, duration: 0 }));
+  }
+
+  messageAttributes(type) {
+    return type === messageType(MESSAGE_TYPES[this.kind]) ? { featureCount: this.featureCount } : undefined;
+  }
+
+  /**
+   * Sets vibration speeds, like ButtplugClientDevice.vibrate.
+   * @param {number|number[]|{Index: number, Speed: number}[]} speeds - One speed
+   *   for all motors, one per motor, or VibrationCmds.
+   * @returns {Promise<void>}
+   */
+  vibrate(speeds) {
+    if (this.kind !== "vibrate") return this.reject("vibrate");
+    const actuators = this.expand(speeds, (speed) => ({ speed }), (cmd) => ({ index: cmd.Index, speed: cmd.Speed }));
+    actuators.forEach(({ index, speed }) => {
+      this.speeds[index] = speed;
+    });
+    return this.record("vibrate", actuators);
+  }
+
+  /**
+   * Moves linear axes, like ButtplugClientDevice.linear.
+   * @param {number|{Index: number, Duration: number, Position: number}[]} positions - One
+   *   position for all axes, or VectorCmds.
+   * @param {number} [duration] - How long the move takes in ms, with a single position.
+   * @returns {Promise<void>}
+   */
+  linear(positions, duration) {
+    if (this.kind !== "linear") return this.reject("linear");
+    const actuators = this.expand(
+      positions,
+      (position) => ({ position, duration }),
+      (cmd) => ({ index: cmd.Index, position: cmd.Position, duration: cmd.Duration })
+    );
+    const time = this.now();
+    actuators.forEach(({ index, position, duration }) => {
+      this.moves[index] = { from: this.positionAt(index, time), to: position, start: time, duration };
+    });
+    return this.record("linear", actuators);
+  }
+
+  // Stops the motors, and the axes where they are
+  stop() {
+    const time = this.now();
+    this.speeds = this.speeds.map(() => 0);
+    this.moves = this.moves.map((_, i) => {
+      const position = this.positionAt(i, time);
+      return { from: position, to: position, start: time, duration: 0 };
+    });
+    return this.record("stop", []);
+  }
+
+  /**
+   * The position of a linear axis at a point in time, moving steadily
+   * towards its latest target.
+   * @param {number} index - The axis.
+   * @param {number} [time] - The time, defaulting to now.
+   * @returns {number} - The position, from 0 to 1.
+   */
+  positionAt(index, time = this.now()) {
+    const { from, to, start, duration } = this.moves[index];
+    const t = duration > 0 ? Math.max(0, Math.min(1, (time - start) / duration)) : 1;
+    return from + (to - from) * t;
+  }
+
+  // Returns the commands received so far and forgets them
+  takeCommands() {
+    const commands = this.commands;
+    this.commands = [];
+    return commands;
+  }
+
+  // Spreads a command's argument over the actuators it applies to
+  expand(arg, fromValue, fromCmd) {
+    if (typeof arg === "number") {
+      return Array.from({ length: this.featureCount }, (_, index) => ({ index, ...fromValue(arg) }));
+    }
+    return arg
+      .map((item, index) => (typeof item === "number" ? { index, ...fromValue(item) } : fromCmd(item)))
+      .filter(({ index }) => index >= 0 && index < this.featureCount);
+  }
+
+  record(type, actuators) {
+    const command = { time: this.now(), type, actuators };
+    this.commands.push(command);
+    if (this.commands.length > this.maxCommands) this.commands.shift();
+    this.emit("command", command);
+    return Promise.resolve();
+  }
+
+  reject(type) {
+    return Promise.reject(new Error(`${this.Name} does not support ${type} commands`));
+  }
+}
+
+/**
+ * Creates the virtual devices offered when "virtual devices" is on: a
+ * two-motor vibrator and a stroker. Their negative indices never clash with
+ * Intiface's.
+ * @returns {VirtualDevice[]} - The devices.
+ */
+export function createVirtualDevices() {
+  return [
+    new VirtualDevice({ name: "Virtual vibrator", index: -1, kind: "vibrate", actuators: 2 }),
+    new VirtualDevice({ name: "Virtual stroker", index: -2, kind: "linear", actuators: 1 }),
+  ];
+}
+
+export default VirtualDevice;
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef } from "react";
+
+// How much output history the graphs show, in ms
+const WINDOW = 5000;
+const WIDTH = 400;
+const HEIGHT = 80;
+const COLORS = ["#aaf", "#fa8", "#8f8", "#f8f"];
+
+// Scrolling graph of one virtual device's output. Vibrate devices plot each
+// motor's speed; linear devices plot each axis' position and show it as an
+// animated stroke bar on the right.
+function DeviceTrace({ device }) {
+  const canvas = useRef();
+
+  // Effect to sample the device every frame and redraw the graph
+  useEffect(() => {
+    const context = canvas.current.getContext("2d");
+    const linear = device.kind === "linear";
+    const graphWidth = linear ? WIDTH - 24 : WIDTH;
+    let samples = [];
+    let frame;
+
+    const draw = () => {
+      const now = device.now();
+      const levels = linear
+        ? device.moves.map((_, i) => device.positionAt(i, now))
+        : device.speeds.slice(0);
+      samples = [...samples.filter(({ time }) => now - time < WINDOW), { time: now, levels }];
+
+      context.clearRect(0, 0, WIDTH, HEIGHT);
+      levels.forEach((_, actuator) => {
+        context.strokeStyle = COLORS[actuator % COLORS.length];
+        context.beginPath();
+        samples.forEach(({ time, levels }, i) => {
+          const x = graphWidth - ((now - time) / WINDOW) * graphWidth;
+          const y = HEIGHT - levels[actuator] * HEIGHT;
+          if (i === 0) context.moveTo(x, y);
+          else context.lineTo(x, y);
+        });
+        context.stroke();
+      });
+      if (linear) {
+        const position = levels[0];
+        context.fillStyle = "#333";
+        context.fillRect(WIDTH - 16, 0, 16, HEIGHT);
+        context.fillStyle = COLORS[0];
+        context.fillRect(WIDTH - 16, HEIGHT - position * HEIGHT - 4, 16, 8);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+    return () => cancelAnimationFrame(frame);
+  }, [device]);
+
+  return (
+    <div className="device-trace">
+      <div>{device.Name}</div>
+      <canvas ref={canvas} width={WIDTH} height={HEIGHT} />
+    </div>
+  );
+}
+
+// On-screen output of the virtual devices
+function Visualizer({ devices }) {
+  return (
+    <div className="visualizer">
+      {devices.map((device) => (
+        <DeviceTrace key={device.Index} device={device} />
+      ))}
+    </div>
+  );
+}
+
+export default Visualizer;
@@ -0,0 +1,103 @@
+import { createId, playedLevels } from "./sequences.js";
+import { stepDurations } from "./timing.js";
+
+// An arrangement is an ordered list of entries, each playing a sequence
+// (referenced by id) a number of times and optionally crossfading its last
+// steps into the first steps of the next entry. The loop mode decides what
+// happens after the last entry.
+
+export const LOOP_MODES = [
+  { id: "none", label: "Play once" },
+  { id: "loop-all", label: "Loop all" },
+  { id: "shuffle", label: "Shuffle" },
+  { id: "ping-pong", label: "Ping-pong" },
+];
+
+/**
+ * Creates an empty arrangement.
+ * @returns {Object} - The arrangement.
+ */
+export function createArrangement() {
+  return { entries: [], loopMode: "none" };
+}
+
+/**
+ * Creates an arrangement entry.
+ * @param {string} sequenceId - The id of the sequence to play.
+ * @returns {Object} - The entry.
+ */
+export function createEntry(sequenceId) {
+  return { id: createId(), sequenceId, repeat: 1, crossfade: 0 };
+}
+
+/**
+ * Works out the order entries play in during one pass of the arrangement.
+ * @param {number} count - The number of entries.
+ * @param {string} loopMode - One of the LOOP_MODES ids.
+ * @param {number} cycle - How many passes have already played.
+ * @param {() => number} [random=Math.random] - Used to shuffle.
+ * @returns {number[]} - Entry indices in playing order.
+ */
+export function playOrder(count, loopMode, cycle, random = Math.random) {
+  const order = Array.from({ length: count }, (_, i) => i);
+  if (loopMode === "shuffle") {
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  } else if (loopMode === "ping-pong" && cycle > 0 && count > 1) {
+    // Bounce off the ends without playing the end entries twice in a row
+    return cycle % 2 ? order.reverse().slice(1) : order.slice(1);
+  }
+  return order;
+}
+
+/**
+ * Flattens one pass of an arrangement into a single timeline that plays like
+ * a sequence with per-step durations.
+ * @param {Object[]} entries - The arrangement's entries.
+ * @param {number[]} order - Entry indices in playing order.
+ * @param {Object[]} sequences - The sequences the entries refer to.
+ * @returns {Object} - The timeline: `values` and `stepDurations` like a
+ * sequence, `stepEntries` giving the entry index of every step and `marks`
+ * giving the first step and length of every entry played.
+ */
+export function compileTimeline(entries, order, sequences) {
+  const values = [];
+  const durations = [];
+  const stepEntries = [];
+  const marks = [];
+  let fadeOut = 0;
+
+  order.forEach((entryIndex) => {
+    const entry = entries[entryIndex];
+    const sequence = entry && sequences.find((sequence) => sequence.id === entry.sequenceId);
+    if (!sequence || !sequence.values.length) return;
+
+    const lengths = stepDurations(sequence);
+    const repeat = Math.max(1, entry.repeat || 1);
+    const entryValues = [];
+    const entryDurations = [];
+    for (let r = 0; r < repeat; r++) {
+      entryValues.push(...playedLevels(sequence));
+      entryDurations.push(...lengths);
+    }
+
+    // Blend the start of this entry into the end of the previous one
+    const fade = Math.min(fadeOut, entryValues.length);
+    for (let k = 0; k < fade; k++) {
+      const j = values.length - fade + k;
+      const t = (k + 1) / (fade + 1);
+      values[j] += (entryValues[k] - values[j]) * t;
+      durations[j] += (entryDurations[k] - durations[j]) * t;
+    }
+
+    marks.push({ entryIndex, start: values.length - fade, length: entryValues.length });
+    values.push(...entryValues.slice(fade));
+    durations.push(...entryDurations.slice(fade));
+    stepEntries.push(...entryValues.slice(fade).map(() => entryIndex));
+    fadeOut = Math.min(Math.max(0, entry.crossfade || 0), entryValues.length - fade);
+  });
+
+  return { values, stepDurations: durations, duration: 200, stepEntries, marks };
+}
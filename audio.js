@@ -0,0 +1,270 @@
+import { get, put } from "./idb.js";
+import { MIN_COLUMNS, MAX_COLUMNS, createId } from "./sequences.js";
+
+// Patterns derived from a piece of music. An audio file is decoded with the
+// Web Audio API and analyzed offline into features sampled FRAME_RATE times a
+// second: the loudness envelope, onset strength and the energy of three
+// frequency bands. The tempo and the time of the first beat are estimated from
+// the onsets, so the steps of the pattern fall on the beat. The analysis runs
+// in slices, handing the main thread back between them, so the page stays
+// responsive and can show its progress.
+
+// Features a pattern can follow
+export const AUDIO_FEATURES = [
+  { value: "envelope", label: "loudness" },
+  { value: "onsets", label: "onsets" },
+  { value: "low", label: "bass" },
+  { value: "mid", label: "mids" },
+  { value: "high", label: "treble" },
+];
+
+const FRAME_RATE = 100;
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const STORE = "audio-files";
+// Longest the analysis keeps the main thread before handing it back, in ms
+const SLICE_MS = 30;
+
+// Analyses of the files used this session, by file id, with the listeners
+// following the progress of those still running
+const analyses = new Map();
+
+/**
+ * Keeps an audio file in IndexedDB, so sequences made from it work after a
+ * reload.
+ * @param {File} file - The file picked by the user.
+ * @returns {Promise<{id: string, name: string}>} - The reference stored in the sequence.
+ */
+export async function storeAudioFile(file) {
+  const id = createId();
+  await put(STORE, { id, name: file.name, type: file.type, data: file, created: Date.now() });
+  return { id, name: file.name };
+}
+
+/**
+ * Loads a stored audio file.
+ * @param {string} id - The file's id.
+ * @returns {Promise<Blob>} - The file's contents.
+ * @throws {Error} - If the file is no longer stored.
+ */
+export async function loadAudioFile(id) {
+  const record = await get(STORE, id);
+  if (!record) throw new Error("The audio file is no longer stored, pick it again");
+  return record.data;
+}
+
+/**
+ * Decodes and analyzes a stored audio file, reusing earlier analyses.
+ * @param {string} id - The file's id.
+ * @param {(fraction: number) => void} [onProgress] - Follows the analysis,
+ *   if it is still running.
+ * @returns {Promise<Object>} - The analysis, as returned by `analyzeAudio`.
+ */
+export function getAnalysis(id, onProgress) {
+  if (!analyses.has(id)) {
+    const listeners = new Set();
+    const analysis = loadAudioFile(id)
+      .then(decodeAudio)
+      .then((buffer) => analyzeAudio(buffer, (fraction) => listeners.forEach((listener) => listener(fraction))));
+    analysis.then(() => listeners.clear(), () => {
+      // Let a failed analysis be tried again
+      analyses.delete(id);
+    });
+    analyses.set(id, { analysis, listeners });
+  }
+  const { analysis, listeners } = analyses.get(id);
+  if (onProgress) listeners.add(onProgress);
+  return analysis;
+}
+
+/**
+ * Decodes an audio file.
+ * @param {Blob} blob - The encoded audio.
+ * @returns {Promise<AudioBuffer>} - The decoded audio.
+ * @throws {Error} - If the browser can't decode it.
+ */
+export async function decodeAudio(blob) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) throw new Error("Web Audio is not available in this browser");
+  const data = await blob.arrayBuffer();
+  const context = new OfflineContext(1, 1, 44100);
+  try {
+    return await context.decodeAudioData(data);
+  } catch (error) {
+    throw new Error("The file could not be decoded as audio");
+  }
+}
+
+/**
+ * Analyzes decoded audio. Every feature is scaled to 0..1.
+ * @param {AudioBuffer} buffer - The decoded audio.
+ * @param {(fraction: number) => void} [onProgress] - Called between slices
+ *   with the part of the work done, from 0 to 1.
+ * @returns {Promise<{duration: number, frameRate: number, envelope: number[],
+ *   onsets: number[], low: number[], mid: number[], high: number[],
+ *   bpm: number, firstBeat: number}>} - The features, one value per frame,
+ *   with the tempo and the time of the first beat in seconds.
+ */
+export async function analyzeAudio(buffer, onProgress = () => {}) {
+  const slice = createSlicer(onProgress);
+  const { sampleRate, length, numberOfChannels } = buffer;
+  const channels = Array.from({ length: numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const hop = Math.round(sampleRate / FRAME_RATE);
+  const frames = Math.floor(length / hop);
+  const coefficient = (frequency) => 1 - Math.exp(-2 * Math.PI * frequency / sampleRate);
+  const lowCoefficient = coefficient(200);
+  const midCoefficient = coefficient(2000);
+
+  // Energy of the whole signal and of each band, per frame. The bands are
+  // split by two one-pole low-pass filters at 200 Hz and 2 kHz.
+  const energy = new Float32Array(frames);
+  const bands = { low: new Float32Array(frames), mid: new Float32Array(frames), high: new Float32Array(frames) };
+  let below200 = 0;
+  let below2000 = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    await slice(0.8 * frame / frames);
+    let total = 0;
+    let low = 0;
+    let mid = 0;
+    let high = 0;
+    for (let i = frame * hop; i < (frame + 1) * hop; i++) {
+      let sample = 0;
+      for (let c = 0; c < numberOfChannels; c++) sample += channels[c][i];
+      sample /= numberOfChannels;
+      below200 += lowCoefficient * (sample - below200);
+      below2000 += midCoefficient * (sample - below2000);
+      total += sample * sample;
+      low += below200 * below200;
+      mid += (below2000 - below200) * (below2000 - below200);
+      high += (sample - below2000) * (sample - below2000);
+    }
+    energy[frame] = Math.sqrt(total / hop);
+    bands.low[frame] = Math.sqrt(low / hop);
+    bands.mid[frame] = Math.sqrt(mid / hop);
+    bands.high[frame] = Math.sqrt(high / hop);
+  }
+
+  // Envelope follower: quick to rise, slow to fall
+  const attack = 1 - Math.exp(-1 / (0.01 * FRAME_RATE));
+  const release = 1 - Math.exp(-1 / (0.2 * FRAME_RATE));
+  const envelope = new Float32Array(frames);
+  let level = 0;
+  energy.forEach((value, frame) => {
+    level += (value > level ? attack : release) * (value - level);
+    envelope[frame] = level;
+  });
+
+  // Onset strength: the rise in log energy, summed over the bands
+  const onsets = new Float32Array(frames);
+  Object.values(bands).forEach((band) => {
+    const peak = percentile(band, 0.95) || 1;
+    for (let frame = 1; frame < frames; frame++) {
+      const rise = Math.log1p(100 * band[frame] / peak) - Math.log1p(100 * band[frame - 1] / peak);
+      if (rise > 0) onsets[frame] += rise;
+    }
+  });
+
+  const { bpm, firstBeat } = await estimateTempo(onsets, (fraction) => slice(0.8 + 0.2 * fraction));
+  onProgress(1);
+  return {
+    duration: length / sampleRate,
+    frameRate: FRAME_RATE,
+    envelope: scaleToUnit(envelope),
+    onsets: scaleToUnit(onsets),
+    low: scaleToUnit(bands.low),
+    mid: scaleToUnit(bands.mid),
+    high: scaleToUnit(bands.high),
+    bpm,
+    firstBeat,
+  };
+}
+
+/**
+ * Turns an analysis into a pattern with steps on the beat grid. Each step
+ * takes the average of the feature over its length, or its peak for onsets.
+ * @param {Object} analysis - The analysis, as returned by `analyzeAudio`.
+ * @param {Object} options
+ * @param {string} [options.feature="envelope"] - One of the AUDIO_FEATURES.
+ * @param {number} [options.stepsPerBeat=2] - Steps per detected beat.
+ * @param {number} [options.startBeat=0] - The beat the pattern starts on.
+ * @param {number} options.steps - How many steps the pattern has, within the
+ *   sequencer's column range. Steps past the end of the file are silent.
+ * @returns {{values: number[], bpm: number, stepsPerBeat: number, start: number}} -
+ *   The levels, the tempo and the time in the file the first step starts at, in ms.
+ */
+export function audioToPattern(analysis, { feature = "envelope", stepsPerBeat = 2, startBeat = 0, steps }) {
+  const { frameRate, bpm, firstBeat } = analysis;
+  const series = analysis[feature] || analysis.envelope;
+  const step = 60 / bpm / stepsPerBeat;
+  const start = firstBeat + Math.max(0, startBeat) * 60 / bpm;
+  const count = Math.max(MIN_COLUMNS, Math.min(MAX_COLUMNS, Math.round(steps) || MIN_COLUMNS));
+  const values = Array.from({ length: count }, (_, i) => {
+    const from = Math.floor((start + i * step) * frameRate);
+    const to = Math.max(from + 1, Math.floor((start + (i + 1) * step) * frameRate));
+    const frames = Array.from(series.slice(Math.min(from, series.length), Math.min(to, series.length)));
+    if (!frames.length) return 0;
+    return feature === "onsets"
+      ? Math.max(...frames)
+      : frames.reduce((sum, value) => sum + value, 0) / frames.length;
+  });
+  return { values: scaleToUnit(values), bpm, stepsPerBeat, start: start * 1000 };
+}
+
+// Finds the tempo whose beat grid lines up best with the onsets. A coarse
+// autocorrelation picks the beat period, favouring tempos near 120 BPM to
+// avoid settling on half or double time; a finer search then refines the
+// tempo and finds the phase of the grid. `slice` is awaited between tempos
+// with the part of the search done.
+async function estimateTempo(onsets, slice) {
+  const mean = onsets.reduce((sum, value) => sum + value, 0) / (onsets.length || 1);
+  const centered = Array.from(onsets, (value) => value - mean);
+  let best = { score: -Infinity, bpm: 120 };
+  for (let bpm = MIN_BPM; bpm <= MAX_BPM; bpm++) {
+    await slice(0.5 * (bpm - MIN_BPM) / (MAX_BPM - MIN_BPM));
+    const lag = Math.round(60 * FRAME_RATE / bpm);
+    let sum = 0;
+    for (let i = lag; i < centered.length; i++) sum += centered[i] * centered[i - lag];
+    const score = sum * Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.6, 2));
+    if (score > best.score) best = { score, bpm };
+  }
+
+  let refined = { score: -Infinity, bpm: best.bpm, firstBeat: 0 };
+  for (let bpm = best.bpm - 1.5; bpm <= best.bpm + 1.5; bpm += 0.05) {
+    await slice(0.5 + 0.5 * (bpm - best.bpm + 1.5) / 3);
+    const period = 60 * FRAME_RATE / bpm;
+    for (let phase = 0; phase < period; phase++) {
+      let score = 0;
+      for (let at = phase; at < onsets.length - 1; at += period) {
+        const i = Math.floor(at);
+        score += onsets[i] + (onsets[i + 1] - onsets[i]) * (at - i);
+      }
+      if (score > refined.score) refined = { score, bpm, firstBeat: phase / FRAME_RATE };
+    }
+  }
+  return { bpm: Math.round(refined.bpm * 100) / 100, firstBeat: refined.firstBeat };
+}
+
+// Returns a function to await regularly during long work. Once the work has
+// held the main thread for SLICE_MS it yields to the event loop, reporting
+// the part done.
+function createSlicer(onProgress) {
+  let started = Date.now();
+  return async (fraction) => {
+    if (Date.now() - started < SLICE_MS) return;
+    onProgress(fraction);
+    await new Promise((resolve) => setTimeout(resolve));
+    started = Date.now();
+  };
+}
+
+// Scales values so that the loudest few percent reach 1
+function scaleToUnit(values) {
+  const peak = percentile(values, 0.98) || 1;
+  return Array.from(values, (value) => Math.min(1, value / peak));
+}
+
+function percentile(values, fraction) {
+  if (!values.length) return 0;
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
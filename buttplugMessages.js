@@ -0,0 +1,44 @@
+// Buttplug message types and device commands, taken from the Buttplug
+// library loaded from the CDN. Where it isn't loaded (offline, or in tests)
+// plain stand-ins are used: message types by name, and commands as objects
+// with the same fields, which virtual devices understand.
+
+function library() {
+  return typeof Buttplug !== "undefined" ? Buttplug : null;
+}
+
+/**
+ * The library's value for a message type.
+ * @param {string} name - The message name, such as "VibrateCmd".
+ * @returns {*} - The value found in a device's AllowedMessages.
+ */
+export function messageType(name) {
+  const buttplug = library();
+  const types = buttplug ? buttplug.ButtplugDeviceMessageType : {};
+  return types[name] || name;
+}
+
+/**
+ * Builds the command setting one motor's vibration speed.
+ * @param {number} index - The motor.
+ * @param {number} speed - The speed, from 0 to 1.
+ * @returns {Object} - A VibrationCmd.
+ */
+export function vibrationCmd(index, speed) {
+  const buttplug = library();
+  return buttplug ? new buttplug.VibrationCmd(index, speed) : { Index: index, Speed: speed };
+}
+
+/**
+ * Builds the command moving one linear axis.
+ * @param {number} index - The axis.
+ * @param {number} duration - How long the move takes, in ms.
+ * @param {number} position - The target position, from 0 to 1.
+ * @returns {Object} - A VectorCmd.
+ */
+export function vectorCmd(index, duration, position) {
+  const buttplug = library();
+  return buttplug
+    ? new buttplug.VectorCmd(index, duration, position)
+    : { Index: index, Duration: duration, Position: position };
+}
@@ -0,0 +1,142 @@
+import { createId, quantizeLevels } from "./sequences.js";
+import { createRandom, randomSeed } from "./random.js";
+import { listGenerators, defaultParams, runGenerator } from "./generators.js";
+
+// Interactive evolution of patterns. A population holds candidate patterns
+// that the user auditions, rates (0 to MAX_RATING) and stars; the next
+// generation is bred from the rated and starred candidates by crossover and
+// mutation, with the starred ones carried over unchanged. The state is
+// `{ generation, columns, rows, duration, size, mutationRate, candidates }`,
+// where a candidate is `{ id, values, rating, starred, origin }`. `columns`
+// is the length of the patterns the next new population starts with; the
+// candidates of a population all have the same length.
+
+export const MAX_RATING = 5;
+
+export const DEFAULT_EVOLUTION = {
+  generation: 1,
+  columns: 16,
+  rows: 5,
+  duration: 200,
+  size: 8,
+  mutationRate: 0.15,
+  candidates: [],
+};
+
+// Generators the first generation is drawn from. Manual editing has nothing
+// to offer, the LLM is too slow to ask for a whole population and audio
+// patterns need a file.
+const SKIPPED_GENERATORS = ["manual", "llm", "audio"];
+
+/**
+ * Creates a candidate.
+ * @param {number[]} values - Its levels, from 0 to 1.
+ * @param {string} origin - Where it came from, shown to the user.
+ * @returns {Object} - The candidate, unrated.
+ */
+export function createCandidate(values, origin) {
+  return { id: createId(), values, rating: 0, starred: false, origin };
+}
+
+/**
+ * Starts a population from the pattern generators, each candidate drawn from
+ * a randomly picked generator with a fresh seed.
+ * @param {Object} settings - The evolution settings, as in DEFAULT_EVOLUTION.
+ * @param {() => number} [random=Math.random] - Picks the generators.
+ * @returns {Promise<Object>} - The first generation.
+ */
+export async function createPopulation(settings, random = Math.random) {
+  const { size, columns, rows } = settings;
+  const generators = listGenerators().filter(({ id }) => !SKIPPED_GENERATORS.includes(id));
+  const candidates = await Promise.all(
+    Array.from({ length: size }, async () => {
+      const generator = generators[Math.floor(random() * generators.length)];
+      const seed = randomSeed();
+      const { values } = await runGenerator(generator, rows, columns, {
+        random: createRandom(seed),
+        seed,
+        params: defaultParams(generator),
+        values: Array(columns).fill(0),
+      });
+      return createCandidate(quantizeLevels(values, rows), generator.label);
+    })
+  );
+  return { ...settings, generation: 1, candidates };
+}
+
+/**
+ * Breeds the next generation. Starred candidates survive as they are, and
+ * the rest of the population are children of two parents picked from the
+ * rated and starred candidates, the better rated more often.
+ * @param {Object} state - The current population.
+ * @param {() => number} [random=Math.random] - The random number generator.
+ * @returns {Object} - The next generation.
+ * @throws {Error} - If no candidate has been rated or starred.
+ */
+export function breed(state, random = Math.random) {
+  const { size, rows, mutationRate, candidates } = state;
+  const parents = candidates
+    .map((candidate) => ({ candidate, weight: candidate.rating + (candidate.starred ? MAX_RATING : 0) }))
+    .filter(({ weight }) => weight > 0);
+  if (!parents.length) throw new Error("Rate or star at least one pattern first");
+
+  const total = parents.reduce((sum, { weight }) => sum + weight, 0);
+  const pick = () => {
+    let r = random() * total;
+    const picked = parents.find(({ weight }) => (r -= weight) < 0);
+    return (picked || parents[parents.length - 1]).candidate;
+  };
+
+  const survivors = candidates
+    .filter(({ starred }) => starred)
+    .slice(0, size)
+    .map((candidate) => ({ ...candidate, rating: 0 }));
+  const children = Array.from({ length: size - survivors.length }, () => {
+    const values = mutate(crossover(pick().values, pick().values, random), rows, mutationRate, random);
+    return createCandidate(values, `generation ${state.generation + 1}`);
+  });
+  return { ...state, generation: state.generation + 1, candidates: [...survivors, ...children] };
+}
+
+/**
+ * Adds a pattern to the population, starred so it takes part in breeding.
+ * Patterns of another length are resampled to the population's.
+ * @param {Object} state - The population.
+ * @param {number[]} values - The pattern's levels.
+ * @param {string} origin - Where it came from.
+ * @returns {Object} - The population with the pattern added.
+ */
+export function addCandidate(state, values, origin) {
+  const { rows } = state;
+  const columns = state.candidates.length ? state.candidates[0].values.length : state.columns;
+  const resampled = Array.from({ length: columns }, (_, i) =>
+    values[Math.round(columns > 1 ? i * (values.length - 1) / (columns - 1) : 0)]
+  );
+  const candidate = { ...createCandidate(quantizeLevels(resampled, rows), origin), starred: true };
+  return { ...state, candidates: [...state.candidates, candidate] };
+}
+
+// Two-point crossover: a stretch of the second parent is spliced into the
+// first, which keeps runs of steps, and so rhythms, together
+function crossover(first, second, random) {
+  const length = first.length;
+  let start = Math.floor(random() * length);
+  let end = Math.floor(random() * length);
+  if (start > end) [start, end] = [end, start];
+  return first.map((level, i) => (i >= start && i <= end ? second[i] : level));
+}
+
+// Nudges some steps a row or two up or down, and occasionally replaces one
+// with a random level
+function mutate(values, rows, rate, random) {
+  const row = 1 / (rows - 1);
+  return quantizeLevels(
+    values.map((level) => {
+      if (random() >= rate) return level;
+      if (random() < 0.2) return random();
+      const nudge = (random() < 0.5 ? -1 : 1) * row * (1 + Math.floor(random() * 2));
+      return Math.max(0, Math.min(1, level + nudge));
+    }),
+    rows
+  );
+}
@@ -0,0 +1,14 @@
+/**
+ * Offers data to the user as a file download.
+ * @param {string} filename - The suggested file name.
+ * @param {string} text - The file contents.
+ * @param {string} [type='application/json'] - The MIME type.
+ */
+export function downloadFile(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
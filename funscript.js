@@ -0,0 +1,92 @@
+import { MIN_COLUMNS, createSequence, playedLevels } from "./sequences.js";
+import { stepDurations } from "./timing.js";
+
+// Conversion between sequences and .funscript timelines, where each action
+// is `{ at, pos }`: a time in ms and a position from 0 to 100. Every step of
+// a sequence becomes one action at the time the step starts. Imported
+// positions are kept as they are; the sequence's rows only snap them as
+// they play.
+
+const MIN_STEP_DURATION = 10;
+
+/**
+ * Converts sequences, played one after another, to a funscript.
+ * @param {Object[]} sequences - The sequences, in playing order.
+ * @returns {Object} - The funscript.
+ */
+export function toFunscript(sequences) {
+  const actions = [];
+  let at = 0;
+  sequences.forEach((sequence) => {
+    const levels = playedLevels(sequence);
+    stepDurations(sequence).forEach((duration, i) => {
+      actions.push({ at: Math.round(at), pos: Math.round(levels[i] * 100) });
+      at += duration;
+    });
+  });
+  return { version: "1.0", inverted: false, range: 100, actions };
+}
+
+/**
+ * Converts a funscript to a sequence.
+ * @param {Object} script - The parsed funscript.
+ * @param {Object} options
+ * @param {number} options.columns - The number of steps to resample to.
+ * @param {number} options.rows - The row resolution of the new sequence.
+ * @param {boolean} [options.keepTiming=false] - Place the steps on the script's
+ * own actions, with the real gaps between them as per-step durations, instead
+ * of spreading them evenly over the script. A script with fewer actions than
+ * a sequence's MIN_COLUMNS steps holds its last position for the rest.
+ * @returns {Object} - The new sequence.
+ */
+export function fromFunscript(script, { columns, rows, keepTiming = false }) {
+  const actions = parseActions(script);
+  const levels = actions.map(({ pos }) => pos / 100);
+  const sequence = createSequence();
+  sequence.rows = rows;
+
+  if (keepTiming) {
+    const count = Math.min(columns, actions.length);
+    const picked = Array.from({ length: count }, (_, k) =>
+      actions[count > 1 ? Math.round(k * (actions.length - 1) / (count - 1)) : 0]
+    );
+    const gaps = picked.slice(1).map((action, k) =>
+      Math.max(MIN_STEP_DURATION, action.at - picked[k].at)
+    );
+    // The last step, and any padding after it, gets the average gap, so the
+    // loop keeps its pace
+    const average = Math.round(gaps.length ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : 200);
+    const padding = Math.max(0, MIN_COLUMNS - count);
+    const last = picked[count - 1].pos / 100;
+    sequence.values = [...picked.map(({ pos }) => pos / 100), ...Array(padding).fill(last)];
+    sequence.stepDurations = [...gaps, ...Array(padding + 1).fill(average)];
+    sequence.duration = average;
+    return sequence;
+  }
+
+  // The first and last steps fall on the first and last actions
+  const start = actions[0].at;
+  const interval = (actions[actions.length - 1].at - start) / Math.max(1, columns - 1);
+  sequence.values = Array.from({ length: columns }, (_, i) => levelAt(actions, levels, start + i * interval));
+  sequence.duration = Math.round(Math.max(MIN_STEP_DURATION, interval));
+  return sequence;
+}
+
+// Validates and sorts a script's actions
+function parseActions(script) {
+  const actions = ((script && script.actions) || [])
+    .filter(({ at, pos }) => Number.isFinite(at) && Number.isFinite(pos))
+    .map(({ at, pos }) => ({ at, pos: Math.max(0, Math.min(100, script.inverted ? 100 - pos : pos)) }))
+    .sort((a, b) => a.at - b.at);
+  if (!actions.length) throw new Error("The funscript has no actions");
+  return actions;
+}
+
+// Linearly interpolated level of the timeline at a time
+function levelAt(actions, levels, at) {
+  const next = actions.findIndex((action) => action.at >= at);
+  if (next <= 0) return levels[next === 0 ? 0 : levels.length - 1];
+  const previous = next - 1;
+  const t = (at - actions[previous].at) / (actions[next].at - actions[previous].at);
+  return levels[previous] + (levels[next] - levels[previous]) * t;
+}
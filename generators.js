@@ -0,0 +1,722 @@
+import LLMMovementController, {
+  DEFAULT_MODEL,
+  MOODS,
+  TEMPOS,
+  describePattern,
+} from "./LLMMovementController.js";
+import { BACKENDS, DEFAULT_BACKEND, DEFAULT_TIMEOUT, apiKeyName } from "./llmBackends.js";
+import { loadSecret } from "./secrets.js";
+import { getCachedResponse, cacheResponse } from "./llmCache.js";
+import { AUDIO_FEATURES, storeAudioFile, getAnalysis, audioToPattern } from "./audio.js";
+import { bpmToDuration } from "./timing.js";
+import { toLevels } from "./sequences.js";
+
+// Generates a random pattern in the form of an array with random values
+function generateRandomPattern(rows, cols, random = Math.random) {
+  return Array.from({ length: cols }).map(() => 
+    Math.floor(random() * rows)
+  );
+}
+
+// Generates a sine wave pattern as an array based on input dimensions
+function generateSineWavePattern(rows, cols) {
+  return Array.from({ length: cols }).map((_, i) => 
+    Math.floor((Math.sin(i / cols * Math.PI * 2) + 1) / 2 * (rows - 1))
+  );
+}
+/**
+ * Generates a Perlin noise pattern in the form of an array with values from 0 to rows-1.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @param {Object} [options] - Noise options.
+ * @param {number} [options.octaves=4] - The number of noise layers summed together.
+ * @param {number} [options.frequency=0.5] - The frequency of the first octave.
+ * @returns {number[]} - A 1D array of numbers representing a Perlin noise pattern.
+ */
+function generatePerlinPattern(rows, cols, random = Math.random, { octaves = 4, frequency: baseFrequency = 0.5 } = {}) {
+  function noise(x) {
+    return random() * 2 - 1;
+  }
+  function smoothNoise(x) {
+    return (noise(x - 1) + noise(x) + noise(x + 1)) / 3;
+  }
+  function interpolate(a, b, t) {
+    return a + (b - a) * (t * t * (3 - 2 * t)); // Smoother interpolation
+  }
+  function perlin(x) {
+    let total = 0;
+    let frequency = baseFrequency; // Lower frequency for slower changes
+    let amplitude = 1;
+    let maxValue = 0;
+    for (let o = 0; o < octaves; o++) {
+      const xi = Math.floor(x * frequency);
+      const xf = (x * frequency) % 1;
+      total += interpolate(smoothNoise(xi), smoothNoise(xi + 1), xf) * amplitude;
+      maxValue += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+    return total / maxValue;
+  }
+  return Array.from({ length: cols }, (_, i) => {
+    const noiseValue = perlin(i / cols * 10);
+    const normalizedValue = (noiseValue + 1) / 2;
+    return Math.floor(normalizedValue * (rows - 1));
+  });
+}
+
+/**
+ * Generates a brownian pattern of numbers.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number[]} - A 1D array of numbers representing a brownian pattern.
+ */
+function generateBrownianPattern(rows, cols, random = Math.random) {
+  const pattern = [Math.floor(random() * rows)];
+  for (let i = 1; i < cols; i++) {
+    const prev = pattern[i - 1];
+    // Small random step, biased to avoid staying static too long
+    const step = random() < 0.7 ? (random() < 0.5 ? -1 : 1) : (random() < 0.5 ? -2 : 2);
+    let next = prev + step;
+    next = Math.max(0, Math.min(rows - 1, next));
+    pattern.push(next);
+  }
+  return pattern;
+}
+
+/**
+ * Generates a brownian pattern of numbers.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number[]} - A 1D array of numbers representing a brownian pattern.
+ */
+function generateLifeLikePattern(rows, cols, random = Math.random) {
+  // Start with a random row for the first column
+  const pattern = [Math.floor(random() * rows)];
+
+  // For each column, add a brownian number to the pattern.
+  for (let i = 1; i < cols; i++) {
+    const prev = pattern[i - 1];
+
+    // Determine the next position based on a weighted random choice.
+    // The weights are designed to make the movement pattern more life-like,
+    // with the next position being more likely to be close to the previous position.
+    const next = (() => {
+      const choices = [prev - 2, prev - 1, prev, prev + 1, prev + 2];
+      const weights = [0.1, 0.2, 0.4, 0.2, 0.1];
+      const index = getWeightedRandomIndex(weights, random);
+      return choices[index];
+    })();
+
+    // Make sure the new position is within the valid range
+    // (between 0 and the number of rows - 1)
+    const nextClamped = (() => {
+      const nextUnclamped = Math.max(0, Math.min(rows - 1, next));
+      if (prev === 0 && nextUnclamped === 0) {
+        return 1;
+      } else if (prev === rows - 1 && nextUnclamped === rows - 1) {
+        return rows - 2;
+      }
+      return nextUnclamped;
+    })();
+
+    // Add the new position to the pattern
+    pattern.push(nextClamped);
+  }
+
+  // Return the completed pattern
+  return pattern;
+}
+
+/**
+ * Generates a life-like movement pattern that respects actuator limits.
+ * Consecutive values change by at most 1 to avoid sudden jumps.
+ * A slowly moving target value is followed to create smoother motion.
+ * @param {number} rows - Number of rows for the pattern.
+ * @param {number} cols - Number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number[]} - A 1D array representing the movement pattern.
+ */
+function generateSmoothLifePattern(rows, cols, random = Math.random) {
+  const pattern = [];
+  let current = Math.floor(random() * rows);
+  let target = Math.floor(random() * rows);
+  pattern.push(current);
+  for (let i = 1; i < cols; i++) {
+    if (current < target) current += 1;
+    else if (current > target) current -= 1;
+    else target = Math.floor(random() * rows);
+    pattern.push(current);
+  }
+  return pattern;
+}
+
+/**
+ * Returns a random index into an array, with the probability of
+ * choosing each index determined by the corresponding weight.
+ * @param {number[]} weights - The weights for each index.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number} - The randomly chosen index.
+ */
+function getWeightedRandomIndex(weights, random = Math.random) {
+  // Calculate the total weight
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+  // Generate a random number between 0 and the total weight
+  const threshold = random() * totalWeight;
+
+  // Find the index for which the cumulative weight exceeds the random number
+  let cumulativeWeight = 0;
+  for (let i = 0; i < weights.length; i++) {
+    cumulativeWeight += weights[i];
+    if (threshold < cumulativeWeight) {
+      return i;
+    }
+  }
+
+  // If we reach this point, it means that the random number was greater than
+  // the total weight, so we return the last index
+  return weights.length - 1;
+}
+
+/**
+ * Generates a pattern of numbers using a simple cellular automaton.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number[]} - A 1D array of numbers representing a cellular automaton pattern.
+ * The algorithm works by creating a simple cellular automaton and then applying
+ * its rules to generate a pattern of numbers.
+ */
+function generateCellularPattern(rows, cols, random = Math.random) {
+  const pattern = Array(cols).fill(0);
+ 
+  
+  // Initialize first cell
+  pattern[0] = Math.floor(random() * rows);
+  
+  // Apply cellular automaton rules
+  for (let i = 1; i < cols; i++) {
+    const prev = pattern[i - 1];
+    const next = (prev + Math.floor(random() * 3) - 1) % rows;
+    pattern[i] = Math.max(0, Math.min(rows - 1, next));
+  }
+  
+  return pattern;
+}
+
+/**
+ * Generates a pattern of numbers using a simple feed-forward neural network.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number[]} - A 1D array of numbers representing a neural network pattern.
+ * The algorithm works by creating a simple feed-forward neural network with 5
+ * inputs, 16 hidden neurons, and 'rows' output neurons. The network is then used
+ * to generate a pattern of numbers by performing a forward pass on the network
+ * at each step, and then shifting the input window by one.
+ */
+function generateNeuralPattern(rows, cols, random = Math.random) {
+  // Simple feed-forward neural network
+  const bias = random();
+  const input = Array(5).fill().map(() => random());
+  const hidden = Array(16).fill().map(() => random());
+  const output = Array(rows).fill().map(() => random());
+  
+  // Generate pattern using neural network
+  const pattern = [];
+  for (let i = 0; i < cols; i++) {
+    // Forward pass
+    const hiddenActivation = hidden.map((w, j) => 
+      Math.tanh(input[j % 4] * w + bias)
+    );
+    
+    const outputActivation = output.map((w, j) => 
+      hiddenActivation.reduce((sum, h, k) => sum + h * w, 0)
+    );
+    
+    // Convert to row index
+    const maxIndex = outputActivation.indexOf(Math.max(...outputActivation));
+    pattern.push(maxIndex);
+    
+    // Shift input window
+    input.shift();
+    input.push(random());
+  }
+  
+  return pattern;
+}
+
+
+/**
+ * Generates a pattern of numbers using a genetic algorithm.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @param {Object} [options] - Evolution options.
+ * @param {number} [options.populationSize=10] - The number of patterns per generation.
+ * @param {number} [options.generations=5] - The number of generations to evolve.
+ * @param {number} [options.mutationRate=0.1] - The chance of each value being replaced.
+ * @returns {number[]} - The generated pattern.
+ * The algorithm works by creating a population of patterns, evaluating
+ * each pattern's fitness, and then breeding new patterns by crossover
+ * and mutation. The fitness function rewards patterns with smooth
+ * transitions between adjacent rows.
+ */
+function generateGeneticPattern(rows, cols, random = Math.random, {
+  populationSize = 10,
+  generations = 5,
+  mutationRate = 0.1,
+} = {}) {
+  // The fittest half of each generation survives as parents
+  const survivors = Math.max(1, Math.floor(populationSize / 2));
+
+  // Population of patterns
+  const population = Array(populationSize).fill().map(() =>
+    Array(cols).fill().map(() => Math.floor(random() * rows))
+  );
+
+  // Fitness function
+  const fitness = (pattern) => {
+    let score = 0;
+    for (let i = 1; i < pattern.length; i++) {
+      // Reward smooth transitions
+      score += 1 - Math.abs(pattern[i] - pattern[i-1]) / rows;
+    }
+    return score;
+  };
+
+  // Evolution steps
+  for (let generation = 0; generation < generations; generation++) {
+    // Sort by fitness
+    population.sort((a, b) => fitness(b) - fitness(a));
+
+    // Crossover and mutation
+    for (let i = survivors; i < populationSize; i++) {
+      const parent1 = population[Math.floor(random() * survivors)];
+      const parent2 = population[Math.floor(random() * survivors)];
+
+      // Crossover
+      const crossover = Array(cols).fill().map((_, j) =>
+        random() < 0.5 ? parent1[j] : parent2[j]
+      );
+
+      // Mutation
+      const mutation = crossover.map(v =>
+        random() < mutationRate ? Math.floor(random() * rows) : v
+      );
+
+      population[i] = mutation;
+    }
+  }
+
+  return population[0]; // Return best pattern
+}
+
+
+/**
+ * Generates a pattern of numbers based on a L-System.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @param {Object} [options] - L-System options.
+ * @param {string} [options.rules='0:01 1:10'] - Space separated rewrite rules in
+ * the form `symbol:replacement`. A '1' moves up a row, any other symbol moves down.
+ * @param {number} [options.iterations=3] - The number of times the rules are applied.
+ * @returns {number[]} - A 1D array of numbers representing an L-System pattern.
+ */
+function generateLSystemPattern(rows, cols, random = Math.random, { rules: ruleText = '0:01 1:10', iterations = 3 } = {}) {
+  const pattern = [];
+  let current = Math.floor(random() * rows);
+  
+  // L-System rules
+  const rules = parseLSystemRules(ruleText);
+  
+  // Generate L-System string, capped so runaway rules can't hang the page
+  let axiom = '0';
+  for (let i = 0; i < iterations && axiom.length < 4096; i++) {
+    axiom = axiom.split('').map(c => rules[c] || c).join('');
+  }
+  
+  // Convert to pattern
+  for (let i = 0; i < cols; i++) {
+    const symbol = axiom[i % axiom.length];
+    current = (current + (symbol === '1' ? 1 : -1)) % rows;
+    pattern.push(Math.max(0, Math.min(rows - 1, current)));
+  }
+  
+  return pattern;
+} 
+
+/**
+ * Parses L-System rewrite rules written as `symbol:replacement` pairs.
+ * @param {string} text - The rules, separated by spaces or commas.
+ * @returns {Object<string, string>} - A map from symbol to its replacement.
+ */
+function parseLSystemRules(text) {
+  const rules = {};
+  for (const rule of String(text).split(/[\s,]+/)) {
+    const [symbol, replacement] = rule.split(':');
+    if (symbol && replacement) rules[symbol] = replacement;
+  }
+  return rules;
+}
+
+/**
+ * Generates a pattern of numbers based on a Markov chain transition matrix.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @param {Object} [options] - Markov options.
+ * @param {number} [options.bias=0] - How strongly transitions favor nearby states,
+ * from 0 (any state equally likely) towards 1 (only small steps).
+ * @returns {number[]} - A 1D array of numbers representing a Markov pattern.
+ */
+function generateMarkovPattern(rows, cols, random = Math.random, { bias = 0 } = {}) {
+  // Create a transition matrix where each row represents the current state
+  // and each column represents the probability of transitioning to that state.
+  // The bias shrinks the weight of a transition the further it jumps.
+  const transitionMatrix = Array.from({ length: rows }, (_, i) => 
+    Array.from({ length: rows }, (_, j) => random() * Math.pow(1 - bias, Math.abs(i - j)))
+  );
+  
+  // Normalize the transition matrix so each row sums to 1
+  for (let i = 0; i < rows; i++) {
+    const rowSum = transitionMatrix[i].reduce((sum, val) => sum + val, 0);
+    for (let j = 0; j < rows; j++) {
+      transitionMatrix[i][j] /= rowSum;
+    }
+  }
+
+  // Generate the pattern
+  const pattern = [];
+  let currentState = Math.floor(random() * rows);
+  pattern.push(currentState);
+
+  for (let i = 1; i < cols; i++) {
+    // Generate a random number between 0 and 1
+    const rand = random();
+    let cumulativeProb = 0;
+    
+    // Find the next state based on transition probabilities
+    for (let nextState = 0; nextState < rows; nextState++) {
+      cumulativeProb += transitionMatrix[currentState][nextState];
+      if (rand <= cumulativeProb) {
+        currentState = nextState;
+        break;
+      }
+    }
+    
+    pattern.push(currentState);
+  }
+
+  return pattern;
+}
+
+/**
+ * Generates a pattern of numbers that exhibit organic motion.
+ * @param {number} rows - The number of rows for the pattern.
+ * @param {number} cols - The number of columns for the pattern.
+ * @param {() => number} [random=Math.random] - The random number generator to use.
+ * @returns {number[]} - A 1D array of numbers representing an organic motion pattern.
+ * The algorithm works by starting at a random intensity level and then deciding
+ * to increase, decrease, or hold the intensity level at each step, favoring small
+ * changes. The intensity levels are then clamped to the valid range [0, rows-1].
+ */
+function generateOrganicMotion(rows, cols, random = Math.random) {
+  let pattern = [];
+  // Start at a random intensity level
+  let current = Math.floor(random() * rows);
+  pattern.push(current);
+  for (let i = 1; i < cols; i++) {
+    // Decide to increase, decrease, or hold (favor small changes)
+    const change = Math.floor(random() * 3) - 1;  // -1, 0, or +1
+    let next = current + change;
+    // Clamp to valid range [0, rows-1]
+    if (next < 0) next = 0;
+    if (next > rows - 1) next = rows - 1;
+    pattern.push(next);
+    current = next;
+  }
+  return pattern;
+}
+
+// Builds the controller for a sequence's LLM settings
+function createLLMController(params) {
+  return new LLMMovementController({
+    backend: params.backend,
+    apiUrl: params.endpoint,
+    apiKey: loadSecret(apiKeyName(params.backend)),
+    model: params.model,
+    timeout: params.timeout * 1000,
+    cache: { get: getCachedResponse, put: cacheResponse },
+  });
+}
+
+async function generateLLMPattern(params, rows, cols, seed, signal) {
+  const controller = createLLMController(params);
+  const commands = await controller.generateMovementSequence(describePattern(params), cols * 100, {}, { seed }, {
+    signal,
+  });
+  return commands.map(v => Math.floor(v * (rows - 1)));
+}
+
+// Follows a feature of an audio file, with the steps on its beat grid and
+// the sequence's timing set to the detected tempo
+async function generateAudioPattern(params, cols, onProgress) {
+  if (!params.file) throw new Error('Pick an audio file');
+  const analysis = await getAnalysis(params.file.id, onProgress);
+  const { values, bpm, stepsPerBeat, start } = audioToPattern(analysis, { ...params, steps: cols });
+  return {
+    pattern: values,
+    changes: {
+      bpm,
+      stepsPerBeat,
+      duration: bpmToDuration(bpm, stepsPerBeat),
+      stepDurations: null,
+      swing: 0,
+      tempoCurve: 0,
+      audioStart: start,
+    },
+  };
+}
+
+/**
+ * Registry of the pattern generators offered by the Sequencer. Each entry has:
+ * - `id`: the value stored as `sequence.mode`
+ * - `label`: the name shown in the mode dropdown
+ * - `params`: the schema the parameter panel is built from. Every parameter has
+ *   a `key`, `label`, `type` ('number', 'text', 'select', 'file' or 'secret')
+ *   and `default`. Number parameters may also set `min`, `max` and `step`,
+ *   and reach `generate` clamped to them. Select parameters list their
+ *   `options` as `{ value, label }`, text parameters may offer
+ *   `suggestions(params)`, resolving to a list of values to pick from, and
+ *   file parameters give the files they `accept` and a `load(file)` that
+ *   resolves to the value stored, which must include the file's `name`.
+ *   Secret parameters, such as API keys, are never stored in the sequence:
+ *   they name the secret they edit with `secret(params)`, and the generator
+ *   reads it from secrets.js itself; they have no `default`.
+ * - `generate(rows, cols, context)`: returns, or resolves to, an array of row
+ *   indices, or `{ pattern, changes }` when the generator also sets other
+ *   fields of the sequence, such as its timing. The context carries the
+ *   seeded `random` function, the raw `seed`, the chosen `params`, the
+ *   sequence's current `values` as 0..1 levels, an AbortSignal, `signal`,
+ *   that aborts when the result is no longer wanted, and `onProgress`, which
+ *   slow generators may call with the part done, from 0 to 1. Failures
+ *   reject, and are shown next to the parameters.
+ * - `normalized` (optional): set when `generate` returns 0..1 levels rather
+ *   than row indices.
+ */
+const registry = new Map();
+
+/**
+ * Adds a generator to the registry, replacing any entry with the same id.
+ * @param {Object} generator - The generator entry, as described above.
+ */
+export function registerGenerator(generator) {
+  registry.set(generator.id, { params: [], ...generator });
+}
+
+/**
+ * Lists the registered generators in registration order.
+ * @returns {Object[]} - The generator entries.
+ */
+export function listGenerators() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Looks up a generator by id, falling back to manual editing for unknown ids.
+ * @param {string} id - The generator id.
+ * @returns {Object} - The generator entry.
+ */
+export function getGenerator(id) {
+  return registry.get(id) || registry.get('manual');
+}
+
+/**
+ * Runs a generator and converts its output to 0..1 levels.
+ * @param {Object} generator - The generator entry.
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} cols - The number of columns in the grid.
+ * @param {Object} context - The context passed on to `generate`.
+ * @returns {Promise<{values: number[], changes: Object}>} - The generated
+ *   levels, and any other changes to the sequence.
+ */
+export async function runGenerator(generator, rows, cols, context) {
+  const params = clampParams(generator, context.params);
+  const result = await generator.generate(rows, cols, { ...context, params });
+  const { pattern, changes = {} } = Array.isArray(result) ? { pattern: result } : result;
+  return { values: generator.normalized ? pattern : toLevels(pattern, rows), changes };
+}
+
+// Brings number parameters within their schema's bounds, so a value typed in
+// or restored from storage can't make a generator misbehave. Values that
+// aren't numbers fall back to the default.
+function clampParams(generator, params) {
+  if (!params) return params;
+  const clamped = { ...params };
+  generator.params.forEach(({ key, type, min = -Infinity, max = Infinity, step, default: fallback }) => {
+    if (type !== 'number' || !(key in clamped)) return;
+    let value = Number(clamped[key]);
+    if (!Number.isFinite(value)) value = fallback;
+    if (Number.isInteger(step)) value = Math.round(value);
+    clamped[key] = Math.max(min, Math.min(max, value));
+  });
+  return clamped;
+}
+
+/**
+ * Builds the default parameter values declared by a generator's schema.
+ * @param {Object} generator - The generator entry.
+ * @returns {Object} - A map from parameter key to its default value.
+ */
+export function defaultParams(generator) {
+  return Object.fromEntries(generator.params
+    .filter(({ type }) => type !== 'secret')
+    .map((param) => [param.key, param.default]));
+}
+
+registerGenerator({
+  id: 'manual',
+  label: 'Manual',
+  normalized: true,
+  // Preserve existing values for manual mode and adjust column count
+  generate: (rows, cols, { values = [] }) => {
+    if (values.length < cols) {
+      return [...values, ...Array(cols - values.length).fill(0)];
+    }
+    return values.slice(0, cols);
+  },
+});
+registerGenerator({
+  id: 'random',
+  label: 'Random',
+  generate: (rows, cols, { random }) => generateRandomPattern(rows, cols, random),
+});
+registerGenerator({
+  id: 'sine',
+  label: 'Sine Wave',
+  generate: (rows, cols) => generateSineWavePattern(rows, cols),
+});
+registerGenerator({
+  id: 'cellular',
+  label: 'Cellular Automaton',
+  generate: (rows, cols, { random }) => generateCellularPattern(rows, cols, random),
+});
+registerGenerator({
+  id: 'neural',
+  label: 'Neural Network',
+  generate: (rows, cols, { random }) => generateNeuralPattern(rows, cols, random),
+});
+registerGenerator({
+  id: 'l-system',
+  label: 'L-System',
+  params: [
+    { key: 'rules', label: 'Rules', type: 'text', default: '0:01 1:10' },
+    { key: 'iterations', label: 'Iterations', type: 'number', min: 1, max: 10, step: 1, default: 3 },
+  ],
+  generate: (rows, cols, { random, params }) => generateLSystemPattern(rows, cols, random, params),
+});
+registerGenerator({
+  id: 'genetic',
+  label: 'Genetic Algorithm',
+  params: [
+    { key: 'populationSize', label: 'Population', type: 'number', min: 2, max: 100, step: 1, default: 10 },
+    { key: 'generations', label: 'Generations', type: 'number', min: 1, max: 100, step: 1, default: 5 },
+    { key: 'mutationRate', label: 'Mutation rate', type: 'number', min: 0, max: 1, step: 0.05, default: 0.1 },
+  ],
+  generate: (rows, cols, { random, params }) => generateGeneticPattern(rows, cols, random, params),
+});
+registerGenerator({
+  id: 'markov',
+  label: 'Markov Chain',
+  params: [
+    { key: 'bias', label: 'Transition bias', type: 'number', min: 0, max: 0.9, step: 0.1, default: 0 },
+  ],
+  generate: (rows, cols, { random, params }) => generateMarkovPattern(rows, cols, random, params),
+});
+registerGenerator({
+  id: 'perlin',
+  label: 'Perlin Noise',
+  params: [
+    { key: 'octaves', label: 'Octaves', type: 'number', min: 1, max: 8, step: 1, default: 4 },
+    { key: 'frequency', label: 'Frequency', type: 'number', min: 0.1, max: 4, step: 0.1, default: 0.5 },
+  ],
+  generate: (rows, cols, { random, params }) => generatePerlinPattern(rows, cols, random, params),
+});
+registerGenerator({
+  id: 'brownian',
+  label: 'Brownian Motion',
+  generate: (rows, cols, { random }) => generateBrownianPattern(rows, cols, random),
+});
+registerGenerator({
+  id: 'life-like',
+  label: 'Life-like',
+  generate: (rows, cols, { random }) => generateLifeLikePattern(rows, cols, random),
+});
+registerGenerator({
+  id: 'smooth-life',
+  label: 'Smooth Life-like',
+  generate: (rows, cols, { random }) => generateSmoothLifePattern(rows, cols, random),
+});
+registerGenerator({
+  id: 'organic-motion',
+  label: 'Organic Motion',
+  generate: (rows, cols, { random }) => generateOrganicMotion(rows, cols, random),
+});
+registerGenerator({
+  id: 'llm',
+  label: 'LLM Generated',
+  params: [
+    { key: 'description', label: 'Description', type: 'text', default: '' },
+    {
+      key: 'mood',
+      label: 'Mood',
+      type: 'select',
+      options: [{ value: '', label: 'any' }, ...MOODS.map((mood) => ({ value: mood, label: mood }))],
+      default: '',
+    },
+    {
+      key: 'tempo',
+      label: 'Tempo',
+      type: 'select',
+      options: [{ value: '', label: 'any' }, ...TEMPOS.map((tempo) => ({ value: tempo, label: tempo }))],
+      default: '',
+    },
+    {
+      key: 'model',
+      label: 'Model',
+      type: 'text',
+      default: DEFAULT_MODEL,
+      suggestions: (params) => createLLMController(params).listModels(),
+    },
+    { key: 'backend', label: 'Backend', type: 'select', options: BACKENDS, default: DEFAULT_BACKEND },
+    { key: 'endpoint', label: 'Endpoint (blank for default)', type: 'text', default: '' },
+    { key: 'apiKey', label: 'API key', type: 'secret', secret: (params) => apiKeyName(params.backend) },
+    { key: 'timeout', label: 'Timeout (s, 0 = none)', type: 'number', min: 0, max: 600, step: 5, default: DEFAULT_TIMEOUT / 1000 },
+  ],
+  generate: (rows, cols, { seed, params, signal }) => generateLLMPattern(params, rows, cols, seed, signal),
+});
+registerGenerator({
+  id: 'audio',
+  label: 'Audio File',
+  normalized: true,
+  params: [
+    { key: 'file', label: 'File', type: 'file', accept: 'audio/*', load: storeAudioFile, default: null },
+    { key: 'feature', label: 'Follow', type: 'select', options: AUDIO_FEATURES, default: 'envelope' },
+    { key: 'stepsPerBeat', label: 'Steps per beat', type: 'number', min: 1, max: 8, step: 1, default: 2 },
+    { key: 'startBeat', label: 'Start beat', type: 'number', min: 0, step: 1, default: 0 },
+  ],
+  generate: (rows, cols, { params, onProgress }) => generateAudioPattern(params, cols, onProgress),
+});
+registerGenerator({
+  id: 'auto',
+  label: 'Auto',
+  generate: (rows, cols, { random }) => Array.from({ length: cols }, (_, i) =>
+    Math.floor(Math.sin(i * 0.5) * (rows - 1) + random() * 2)
+  ),
+});
@@ -0,0 +1,105 @@
+// Shared access to the app's IndexedDB database, for data too large for
+// localStorage. Every object store is declared here, so adding one means
+// adding it to STORES and bumping DB_VERSION.
+
+const DB_NAME = "vibe-sequencer";
+const DB_VERSION = 4;
+const STORES = [
+  { name: "presets", keyPath: "id" },
+  { name: "llm-cache", keyPath: "key" },
+  { name: "audio-files", keyPath: "id" },
+  { name: "history", keyPath: "key" },
+];
+
+let opening = null;
+
+/**
+ * Opens the database, creating or upgrading its stores as needed. The
+ * connection is shared by all callers.
+ * @returns {Promise<IDBDatabase>} - The open database.
+ */
+export function openDatabase() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        throw new Error("IndexedDB is not available in this browser");
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach(({ name, keyPath }) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("The database is in use by another tab"));
+    });
+    // Let the next call try again rather than failing forever
+    opening.catch(() => {
+      opening = null;
+    });
+  }
+  return opening;
+}
+
+// Runs one request in its own transaction, resolving with its result once
+// the transaction has completed
+async function run(storeName, mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Reads one record.
+ * @param {string} storeName - The object store.
+ * @param {*} key - The record's key.
+ * @returns {Promise<*>} - The record, or undefined if there is none.
+ */
+export function get(storeName, key) {
+  return run(storeName, "readonly", (store) => store.get(key));
+}
+
+/**
+ * Reads every record of a store.
+ * @param {string} storeName - The object store.
+ * @returns {Promise<Array>} - The records.
+ */
+export function getAll(storeName) {
+  return run(storeName, "readonly", (store) => store.getAll());
+}
+
+/**
+ * Adds or replaces a record.
+ * @param {string} storeName - The object store.
+ * @param {Object} value - The record, holding its own key.
+ * @returns {Promise<*>} - The record's key.
+ */
+export function put(storeName, value) {
+  return run(storeName, "readwrite", (store) => store.put(value));
+}
+
+/**
+ * Deletes a record.
+ * @param {string} storeName - The object store.
+ * @param {*} key - The record's key.
+ * @returns {Promise<void>}
+ */
+export function remove(storeName, key) {
+  return run(storeName, "readwrite", (store) => store.delete(key));
+}
+
+/**
+ * Deletes every record of a store.
+ * @param {string} storeName - The object store.
+ * @returns {Promise<void>}
+ */
+export function clear(storeName) {
+  return run(storeName, "readwrite", (store) => store.clear());
+}
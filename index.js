@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect } from "react";
+import React, { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import ReactDOM from "react-dom";
 import cx from "classnames";
 import "@spectrum-web-components/theme/sp-theme.js";
@@ -6,426 +6,713 @@ import "@spectrum-web-components/theme/theme-dark.js";
 import "@spectrum-web-components/theme/scale-medium.js";
 import "@spectrum-web-components/slider/sp-slider.js";
 import "./index.css";
-import LLMMovementController from "./LLMMovementController.js";
+import { createRandom, randomSeed } from "./random.js";
+import PlaybackScheduler from "./PlaybackScheduler.js";
+import {
+  MAX_SWING,
+  DEFAULT_STEPS_PER_BEAT,
+  bpmToDuration,
+  durationToBpm,
+  createTapTempo,
+  stepDurations,
+} from "./timing.js";
+import { loadAudioFile } from "./audio.js";
+import {
+  INTERPOLATION_MODES,
+  DEFAULT_UPDATE_RATE,
+  interpolate,
+  sampleColumn,
+} from "./interpolation.js";
+import { deviceKind, actuatorCount, resolveRoutes } from "./routing.js";
+import OutputMixer, { BLEND_MODES } from "./OutputMixer.js";
+import SafetyLimiter, { DEFAULT_SAFETY } from "./SafetyLimiter.js";
+import ConnectionManager, { DEFAULT_SERVER_ADDRESS } from "./ConnectionManager.js";
+import ConnectionPanel from "./ConnectionPanel.js";
+import { createVirtualDevices } from "./VirtualDevice.js";
+import Visualizer from "./Visualizer.js";
+import PositionStream, { DEFAULT_STREAM_ADDRESS } from "./PositionStream.js";
+import { applyRecording } from "./recording.js";
+import { toFunscript, fromFunscript } from "./funscript.js";
+import { MIDI_GRIDS, MIDI_MAPPINGS, parseMidi, listMidiParts, midiToSequences } from "./midi.js";
+import { downloadFile } from "./files.js";
+import ArrangementView from "./ArrangementView.js";
+import History from "./History.js";
+import PresetLibrary from "./PresetLibrary.js";
+import LLMCachePanel from "./LLMCachePanel.js";
+import EvolutionPanel from "./EvolutionPanel.js";
+import {
+  SCHEMA_VERSION,
+  loadState,
+  saveSequences,
+  saveArrangement,
+  validateSavedState,
+} from "./storage.js";
+import {
+  invert,
+  reverse,
+  mirror,
+  shift,
+  stretch,
+  scale,
+  smooth,
+  quantize,
+  concatenate,
+  crossfade,
+} from "./transforms.js";
+import { listGenerators, getGenerator, defaultParams, runGenerator } from "./generators.js";
+import { isAbortError } from "./llmBackends.js";
+import { loadSecret, saveSecret } from "./secrets.js";
+import {
+  DEFAULT_ROWS,
+  MIN_ROWS,
+  MAX_ROWS,
+  MIN_COLUMNS,
+  MAX_COLUMNS,
+  createSequence,
+  createId,
+  levelToRow,
+  playedLevels,
+} from "./sequences.js";
 
 // Utility function to create an array with values from 0 to n-1
 function range(n) {
   return Array.from({ length: n }).map((_, i) => i);
 }
 
-// Generates a random pattern in the form of an array with random values
-function generateRandomPattern(rows, cols) {
-  return Array.from({ length: cols }).map(() => 
-    Math.floor(Math.random() * rows)
-  );
+// Brings a number typed into a field to a whole number within a range, or
+// to the fallback if it isn't a number
+function clampInteger(value, min, max, fallback) {
+  return Number.isFinite(value) ? Math.max(min, Math.min(max, Math.round(value))) : fallback;
 }
 
-// Generates a sine wave pattern as an array based on input dimensions
-function generateSineWavePattern(rows, cols) {
-  return Array.from({ length: cols }).map((_, i) => 
-    Math.floor((Math.sin(i / cols * Math.PI * 2) + 1) / 2 * (rows - 1))
+// Cell component that represents an individual grid cell in the sequencer
+function Cell({ select, selected }) {
+  return (
+    <div
+      className={cx("cell", { selected })}
+      onClick={select}
+      onPointerMove={(e) => e.buttons && select()}
+    ></div>
   );
 }
-/**
- * Generates a Perlin noise pattern in the form of an array with values from 0 to rows-1.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing a Perlin noise pattern.
- */
-function generatePerlinPattern(rows, cols) {
-  function noise(x) {
-    return Math.random() * 2 - 1;
-  }
-  function smoothNoise(x) {
-    return (noise(x - 1) + noise(x) + noise(x + 1)) / 3;
-  }
-  function interpolate(a, b, t) {
-    return a + (b - a) * (t * t * (3 - 2 * t)); // Smoother interpolation
-  }
-  function perlin(x) {
-    let total = 0;
-    let frequency = 0.5; // Lower frequency for slower changes
-    let amplitude = 1;
-    let maxValue = 0;
-    for (let o = 0; o < 4; o++) {
-      const xi = Math.floor(x * frequency);
-      const xf = (x * frequency) % 1;
-      total += interpolate(smoothNoise(xi), smoothNoise(xi + 1), xf) * amplitude;
-      maxValue += amplitude;
-      amplitude *= 0.5;
-      frequency *= 2;
-    }
-    return total / maxValue;
-  }
-  return Array.from({ length: cols }, (_, i) => {
-    const noiseValue = perlin(i / cols * 10);
-    const normalizedValue = (noiseValue + 1) / 2;
-    return Math.floor(normalizedValue * (rows - 1));
-  });
+
+// Column component that represents a column of cells.
+// Values are 0..1 levels, shown on the nearest of the column's rows.
+// The marker on top of the column moves playback to it, and the optional
+// input below it sets the step's own length (empty uses the sequence's).
+// When a curve is given, it is drawn over the cells.
+function Column({ playing, val, setVal, rows, seek, stepDuration, setStepDuration, curve }) {
+  const selectedRow = levelToRow(val, rows);
+  // Rows are drawn bottom up, with each level at the center of its row
+  const levelToY = (level) => 1 - (level * (rows - 1) + 0.5) / rows;
+  return (
+    <div className={cx("column", { playing })}>
+      {setStepDuration ? (
+        <input
+          className="step-duration"
+          type="number"
+          min="10"
+          placeholder="-"
+          value={stepDuration || ""}
+          onChange={(e) => setStepDuration(Number(e.target.value))}
+        />
+      ) : null}
+      <div className="cells">
+        {range(rows).map((i) => (
+          <Cell key={i} select={() => setVal(i / (rows - 1))} selected={selectedRow === i} />
+        ))}
+        {curve ? (
+          <svg className="curve" viewBox="0 0 1 1" preserveAspectRatio="none">
+            <polyline
+              vectorEffect="non-scaling-stroke"
+              points={curve.map(({ x, level }) => `${x},${levelToY(level)}`).join(" ")}
+            />
+          </svg>
+        ) : null}
+      </div>
+      <div className="step-marker" onClick={seek}></div>
+    </div>
+  );
 }
 
-/**
- * Generates a brownian pattern of numbers.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing a brownian pattern.
- */
-function generateBrownianPattern(rows, cols) {
-  const pattern = [Math.floor(Math.random() * rows)];
-  for (let i = 1; i < cols; i++) {
-    const prev = pattern[i - 1];
-    // Small random step, biased to avoid staying static too long
-    const step = Math.random() < 0.7 ? (Math.random() < 0.5 ? -1 : 1) : (Math.random() < 0.5 ? -2 : 2);
-    let next = prev + step;
-    next = Math.max(0, Math.min(rows - 1, next));
-    pattern.push(next);
-  }
-  return pattern;
+// Panel of inputs built from the selected generator's parameter schema
+function GeneratorParams({ generator, params, setParam, onRegenerate, onCancel, status }) {
+  if (!generator.params.length && !status.pending && !status.error) return null;
+  return (
+    <div className="generator-params">
+      {generator.params.map((param) => (
+        <label key={param.key}>
+          {param.label}:
+          <GeneratorParam param={param} params={params} setParam={setParam} />
+        </label>
+      ))}
+      {status.pending ? (
+        <span className="generator-status">
+          generating…{" "}
+          {status.progress !== undefined ? <progress value={status.progress} max={1} /> : null}{" "}
+          <button onClick={onCancel}>cancel</button>
+        </span>
+      ) : (
+        <button onClick={onRegenerate}>regenerate</button>
+      )}
+      {status.error ? <div className="error">{status.error}</div> : null}
+    </div>
+  );
 }
 
-/**
- * Generates a brownian pattern of numbers.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing a brownian pattern.
- */
-function generateLifeLikePattern(rows, cols) {
-  // Start with a random row for the first column
-  const pattern = [Math.floor(Math.random() * rows)];
-
-  // For each column, add a brownian number to the pattern.
-  for (let i = 1; i < cols; i++) {
-    const prev = pattern[i - 1];
-
-    // Determine the next position based on a weighted random choice.
-    // The weights are designed to make the movement pattern more life-like,
-    // with the next position being more likely to be close to the previous position.
-    const next = (() => {
-      const choices = [prev - 2, prev - 1, prev, prev + 1, prev + 2];
-      const weights = [0.1, 0.2, 0.4, 0.2, 0.1];
-      const index = getWeightedRandomIndex(weights);
-      return choices[index];
-    })();
-
-    // Make sure the new position is within the valid range
-    // (between 0 and the number of rows - 1)
-    const nextClamped = (() => {
-      const nextUnclamped = Math.max(0, Math.min(rows - 1, next));
-      if (prev === 0 && nextUnclamped === 0) {
-        return 1;
-      } else if (prev === rows - 1 && nextUnclamped === rows - 1) {
-        return rows - 2;
-      }
-      return nextUnclamped;
-    })();
+// Input for one generator parameter. Text is applied when the field loses
+// focus or on Enter rather than on every keystroke, as generators such as the
+// LLM are slow or costly to run.
+function GeneratorParam({ param, params, setParam }) {
+  const value = params[param.key];
+  const [text, setText] = useState(value);
+  const [suggestions, setSuggestions] = useState([]);
+  const [fileError, setFileError] = useState(null);
+  // Unique per field, as several sequencers may show the same parameter
+  const listId = useMemo(() => `${param.key}-${createId()}`, [param.key]);
 
-    // Add the new position to the pattern
-    pattern.push(nextClamped);
-  }
+  // Keep the field in step with the sequence (undo, mode changes)
+  useEffect(() => {
+    setText(value);
+  }, [value]);
 
-  // Return the completed pattern
-  return pattern;
-}
+  // Effect to load the suggestions offered for a text parameter
+  const suggestionKey = param.suggestions ? JSON.stringify(params) : null;
+  useEffect(() => {
+    if (!param.suggestions) return;
+    let cancelled = false;
+    Promise.resolve(param.suggestions(params))
+      .then((values) => !cancelled && setSuggestions(values))
+      .catch((error) => {
+        console.error(`Failed to load suggestions for ${param.label}:`, error);
+        if (!cancelled) setSuggestions([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [param, suggestionKey]);
 
-/**
- * Generates a life-like movement pattern that respects actuator limits.
- * Consecutive values change by at most 1 to avoid sudden jumps.
- * A slowly moving target value is followed to create smoother motion.
- * @param {number} rows - Number of rows for the pattern.
- * @param {number} cols - Number of columns for the pattern.
- * @returns {number[]} - A 1D array representing the movement pattern.
- */
-function generateSmoothLifePattern(rows, cols) {
-  const pattern = [];
-  let current = Math.floor(Math.random() * rows);
-  let target = Math.floor(Math.random() * rows);
-  pattern.push(current);
-  for (let i = 1; i < cols; i++) {
-    if (current < target) current += 1;
-    else if (current > target) current -= 1;
-    else target = Math.floor(Math.random() * rows);
-    pattern.push(current);
+  if (param.type === "select") {
+    return (
+      <select value={value} onChange={(e) => setParam(param.key, e.target.value)}>
+        {param.options.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    );
+  }
+  if (param.type === "text") {
+    return (
+      <React.Fragment>
+        <input
+          type="text"
+          list={param.suggestions ? listId : undefined}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onBlur={() => text !== value && setParam(param.key, text)}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+        />
+        {param.suggestions ? (
+          <datalist id={listId}>
+            {suggestions.map((suggestion) => (
+              <option key={suggestion} value={suggestion} />
+            ))}
+          </datalist>
+        ) : null}
+      </React.Fragment>
+    );
+  }
+  if (param.type === "secret") return <SecretParam name={param.secret(params)} />;
+  if (param.type === "file") {
+    return (
+      <React.Fragment>
+        <input
+          type="file"
+          accept={param.accept}
+          onChange={async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+              setParam(param.key, await param.load(file));
+              setFileError(null);
+            } catch (error) {
+              setFileError(`Could not load ${file.name}: ${error.message}`);
+            }
+          }}
+        />
+        {value ? <span>{value.name}</span> : null}
+        {fileError ? <span className="error">{fileError}</span> : null}
+      </React.Fragment>
+    );
   }
-  return pattern;
+  return (
+    <input
+      type={param.type}
+      min={param.min}
+      max={param.max}
+      step={param.step}
+      value={value}
+      onChange={(e) => setParam(param.key, Number(e.target.value))}
+    />
+  );
 }
 
-/**
- * Returns a random index into an array, with the probability of
- * choosing each index determined by the corresponding weight.
- * @param {number[]} weights - The weights for each index.
- * @returns {number} - The randomly chosen index.
- */
-function getWeightedRandomIndex(weights) {
-  // Calculate the total weight
-  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
-
-  // Generate a random number between 0 and the total weight
-  const random = Math.random() * totalWeight;
-
-  // Find the index for which the cumulative weight exceeds the random number
-  let cumulativeWeight = 0;
-  for (let i = 0; i < weights.length; i++) {
-    cumulativeWeight += weights[i];
-    if (random < cumulativeWeight) {
-      return i;
-    }
-  }
+// Input for a secret parameter, such as an API key. It edits the secret
+// stored on this device rather than the sequence.
+function SecretParam({ name }) {
+  const [text, setText] = useState(() => loadSecret(name));
 
-  // If we reach this point, it means that the random number was greater than
-  // the total weight, so we return the last index
-  return weights.length - 1;
+  // Show the secret stored under the new name (another backend)
+  useEffect(() => {
+    setText(loadSecret(name));
+  }, [name]);
+
+  return (
+    <input
+      type="password"
+      autoComplete="off"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => saveSecret(name, text)}
+      onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+    />
+  );
 }
 
-/**
- * Generates a pattern of numbers using a simple cellular automaton.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing a cellular automaton pattern.
- * The algorithm works by creating a simple cellular automaton and then applying
- * its rules to generate a pattern of numbers.
- */
-function generateCellularPattern(rows, cols) {
-  const pattern = Array(cols).fill(0);
- 
-  
-  // Initialize first cell
-  pattern[0] = Math.floor(Math.random() * rows);
-  
-  // Apply cellular automaton rules
-  for (let i = 1; i < cols; i++) {
-    const prev = pattern[i - 1];
-    const next = (prev + Math.floor(Math.random() * 3) - 1) % rows;
-    pattern[i] = Math.max(0, Math.min(rows - 1, next));
-  }
-  
-  return pattern;
+// Swing, tempo curve and BPM controls for a sequence's step timing
+function TimingControls({ sequence, setTiming, showStepDurations, setShowStepDurations }) {
+  const tap = useMemo(() => createTapTempo(), []);
+  const bpmMode = sequence.bpm > 0;
+  const stepsPerBeat = sequence.stepsPerBeat || DEFAULT_STEPS_PER_BEAT;
+  const setBpm = (bpm, steps = stepsPerBeat) => {
+    if (!(bpm > 0 && steps > 0)) return;
+    setTiming({ bpm, stepsPerBeat: steps, duration: bpmToDuration(bpm, steps) });
+  };
+
+  return (
+    <div className="timing-controls">
+      <sp-slider
+        size="x1"
+        label="Swing"
+        value={sequence.swing || 0}
+        min={0}
+        max={MAX_SWING}
+        step={0.05}
+        onInput={(e) => setTiming({ swing: Number(e.target.value) })}
+      />
+      <sp-slider
+        size="x1"
+        label="Tempo curve"
+        value={sequence.tempoCurve || 0}
+        min={-1}
+        max={1}
+        step={0.1}
+        onInput={(e) => setTiming({ tempoCurve: Number(e.target.value) })}
+      />
+      <label>
+        <input
+          type="checkbox"
+          checked={bpmMode}
+          onChange={(e) => e.target.checked
+            ? setBpm(Math.round(durationToBpm(sequence.duration, stepsPerBeat)))
+            : setTiming({ bpm: null })}
+        />
+        BPM
+      </label>
+      {bpmMode ? (
+        <>
+          <input
+            type="number"
+            min="20"
+            max="300"
+            value={Math.round(sequence.bpm)}
+            onChange={(e) => setBpm(Number(e.target.value))}
+          />
+          <label>
+            Steps/beat:
+            <input
+              type="number"
+              min="1"
+              max="8"
+              value={stepsPerBeat}
+              onChange={(e) => setBpm(sequence.bpm, Number(e.target.value))}
+            />
+          </label>
+          <button
+            onClick={() => {
+              const bpm = tap();
+              if (bpm) setBpm(Math.round(bpm));
+            }}
+          >
+            tap
+          </button>
+        </>
+      ) : null}
+      <label>
+        <input
+          type="checkbox"
+          checked={showStepDurations}
+          onChange={(e) => setShowStepDurations(e.target.checked)}
+        />
+        Step lengths
+      </label>
+    </div>
+  );
 }
 
-/**
- * Generates a pattern of numbers using a simple feed-forward neural network.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @param {number} [seed=0.5] - The random seed to use.
- * @returns {number[]} - A 1D array of numbers representing a neural network pattern.
- * The algorithm works by creating a simple feed-forward neural network with 5
- * inputs, 16 hidden neurons, and 'rows' output neurons. The network is then used
- * to generate a pattern of numbers by performing a forward pass on the network
- * at each step, and then shifting the input window by one.
- */
-function generateNeuralPattern(rows, cols, seed = Math.random()) {
-  // Simple feed-forward neural network
-  const input = Array(5).fill().map(() => Math.random());
-  const hidden = Array(16).fill().map(() => Math.random());
-  const output = Array(rows).fill().map(() => Math.random());
-  
-  // Generate pattern using neural network
-  const pattern = [];
-  for (let i = 0; i < cols; i++) {
-    // Forward pass
-    const hiddenActivation = hidden.map((w, j) => 
-      Math.tanh(input[j % 4] * w + seed)
-    );
-    
-    const outputActivation = output.map((w, j) => 
-      hiddenActivation.reduce((sum, h, k) => sum + h * w, 0)
-    );
-    
-    // Convert to row index
-    const maxIndex = outputActivation.indexOf(Math.max(...outputActivation));
-    pattern.push(maxIndex);
-    
-    // Shift input window
-    input.shift();
-    input.push(Math.random());
-  }
-  
-  return pattern;
+// Device and actuator routing for a sequence. Routes are kept by device name,
+// so routes to devices that aren't connected stay listed until removed.
+function RoutingControls({ sequence, setSequence, devices }) {
+  const routes = sequence.routes || [];
+  const names = Array.from(new Set([
+    ...devices.map((device) => device.Name),
+    ...routes.map((route) => route.device),
+  ]));
+  const setRoutes = (routes) => setSequence({ ...sequence, routes });
+  const toggleDevice = (name, on) => setRoutes(on
+    ? [...routes, { device: name, actuators: [] }]
+    : routes.filter((route) => route.device !== name));
+  const toggleActuator = (name, count, actuator, on) => setRoutes(routes.map((route) => {
+    if (route.device !== name) return route;
+    const current = route.actuators.length ? route.actuators : range(count);
+    const actuators = on
+      ? [...current, actuator].sort((a, b) => a - b)
+      : current.filter((i) => i !== actuator);
+    // Every actuator selected is stored as "all"
+    return { ...route, actuators: actuators.length === count ? [] : actuators };
+  }));
+
+  if (!names.length) return null;
+  return (
+    <div className="routing-controls">
+      Output{routes.length ? ":" : " (selected device):"}
+      {names.map((name) => {
+        const device = devices.find((device) => device.Name === name);
+        const route = routes.find((route) => route.device === name);
+        const count = device ? actuatorCount(device) : 0;
+        return (
+          <span key={name} className={cx("route", { offline: !device })}>
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(route)}
+                onChange={(e) => toggleDevice(name, e.target.checked)}
+              />
+              {name}{device ? "" : " (offline)"}
+            </label>
+            {route && count > 1 ? range(count).map((i) => (
+              <label key={i}>
+                <input
+                  type="checkbox"
+                  checked={!route.actuators.length || route.actuators.includes(i)}
+                  onChange={(e) => toggleActuator(name, count, i, e.target.checked)}
+                />
+                #{i}
+              </label>
+            )) : null}
+          </span>
+        );
+      })}
+    </div>
+  );
 }
 
+// Interpolation mode and update rate used between steps on vibrate devices
+function InterpolationControls({ sequence, setSequence }) {
+  const mode = sequence.interpolation || "hold";
+  return (
+    <div className="interpolation-controls">
+      <label>
+        Interpolation:
+        <select
+          value={mode}
+          onChange={(e) => setSequence({ ...sequence, interpolation: e.target.value })}
+        >
+          {INTERPOLATION_MODES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {mode !== "hold" ? (
+        <label>
+          Updates/s:
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={sequence.updateRate || DEFAULT_UPDATE_RATE}
+            onChange={(e) => {
+              const updateRate = Number(e.target.value);
+              if (updateRate > 0) setSequence({ ...sequence, updateRate });
+            }}
+          />
+        </label>
+      ) : null}
+    </div>
+  );
+}
 
-/**
- * Generates a pattern of numbers using a genetic algorithm.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - The generated pattern.
- * The algorithm works by creating a population of patterns, evaluating
- * each pattern's fitness, and then breeding new patterns by crossover
- * and mutation. The fitness function rewards patterns with smooth
- * transitions between adjacent rows.
- */
-function generateGeneticPattern(rows, cols) {
-  // Population of patterns
-  const population = Array(10).fill().map(() => 
-    Array(cols).fill().map(() => Math.floor(Math.random() * rows))
-  );
-  
-  // Fitness function
-  const fitness = (pattern) => {
-    let score = 0;
-    for (let i = 1; i < pattern.length; i++) {
-      // Reward smooth transitions
-      score += 1 - Math.abs(pattern[i] - pattern[i-1]) / rows;
-    }
-    return score;
+// Pad to perform a pattern on by dragging, the record mode's fallback when
+// there's no bridge. Higher up means a higher level.
+function RecordPad({ level, onLevel }) {
+  const handle = (e) => {
+    if (!e.buttons) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onLevel(Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height)));
   };
-  
-  // Evolution steps
-  for (let generation = 0; generation < 5; generation++) {
-    // Sort by fitness
-    population.sort((a, b) => fitness(b) - fitness(a));
-    
-    // Crossover and mutation
-    for (let i = 5; i < 10; i++) {
-      const parent1 = population[Math.floor(Math.random() * 5)];
-      const parent2 = population[Math.floor(Math.random() * 5)];
-      
-      // Crossover
-      const crossover = Array(cols).fill().map((_, j) => 
-        Math.random() < 0.5 ? parent1[j] : parent2[j]
-      );
-      
-      // Mutation
-      const mutation = crossover.map(v => 
-        Math.random() < 0.1 ? Math.floor(Math.random() * rows) : v
-      );
-      
-      population[i] = mutation;
-    }
-  }
-  
-  return population[0]; // Return best pattern
+  return (
+    <div
+      className="record-pad"
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        handle(e);
+      }}
+      onPointerMove={handle}
+    >
+      {level !== null ? <div className="record-pad-marker" style={{ bottom: `${level * 100}%` }} /> : null}
+    </div>
+  );
 }
 
+// Record mode: captures positions from the tcp-bridge stream, or from the
+// record pad, and turns them into the sequence's steps when stopped
+function RecordControls({ sequence, setSequence }) {
+  const [source, setSource] = useState("pad");
+  const [address, setAddress] = useState(localStorage.streamAddress || DEFAULT_STREAM_ADDRESS);
+  const [keepTiming, setKeepTiming] = useState(false);
+  const [recording, setRecording] = useState(false);
+  const [level, setLevel] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const samples = useRef([]);
+
+  const capture = useCallback((p) => {
+    samples.current.push({ time: performance.now(), p });
+    setLevel(p);
+  }, []);
+
+  // Effect to follow the bridge's stream while recording from it
+  useEffect(() => {
+    if (!recording || source !== "stream") return;
+    localStorage.streamAddress = address;
+    const stream = new PositionStream(address);
+    const unsubscribe = [
+      stream.on("position", capture),
+      stream.on("status", setStatus),
+      stream.on("error", setError),
+    ];
+    stream.open();
+    return () => {
+      unsubscribe.forEach((off) => off());
+      stream.close();
+      setStatus(null);
+    };
+  }, [recording, source, address, capture]);
 
-/**
- * Generates a pattern of numbers based on a L-System.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing an L-System pattern.
- */
-function generateLSystemPattern(rows, cols, seed = Math.random()) {
-  const pattern = [];
-  let current = Math.floor(seed * rows);
-  
-  // L-System rules
-  const rules = {
-    '0': '01',
-    '1': '10'
+  const start = () => {
+    samples.current = [];
+    setLevel(null);
+    setError(null);
+    setRecording(true);
   };
-  
-  // Generate L-System string
-  let axiom = '0';
-  for (let i = 0; i < 3; i++) {
-    axiom = axiom.split('').map(c => rules[c] || c).join('');
-  }
-  
-  // Convert to pattern
-  for (let i = 0; i < cols; i++) {
-    const symbol = axiom[i % axiom.length];
-    current = (current + (symbol === '1' ? 1 : -1)) % rows;
-    pattern.push(Math.max(0, Math.min(rows - 1, current)));
-  }
-  
-  return pattern;
-} 
-
-/**
- * Generates a pattern of numbers based on a Markov chain transition matrix.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing a Markov pattern.
- */
-function generateMarkovPattern(rows, cols) {
-  // Create a transition matrix where each row represents the current state
-  // and each column represents the probability of transitioning to that state
-  const transitionMatrix = Array.from({ length: rows }, () => 
-    Array.from({ length: rows }, () => Math.random())
-  );
-  
-  // Normalize the transition matrix so each row sums to 1
-  for (let i = 0; i < rows; i++) {
-    const rowSum = transitionMatrix[i].reduce((sum, val) => sum + val, 0);
-    for (let j = 0; j < rows; j++) {
-      transitionMatrix[i][j] /= rowSum;
-    }
-  }
 
-  // Generate the pattern
-  const pattern = [];
-  let currentState = Math.floor(Math.random() * rows);
-  pattern.push(currentState);
-
-  for (let i = 1; i < cols; i++) {
-    // Generate a random number between 0 and 1
-    const rand = Math.random();
-    let cumulativeProb = 0;
-    
-    // Find the next state based on transition probabilities
-    for (let nextState = 0; nextState < rows; nextState++) {
-      cumulativeProb += transitionMatrix[currentState][nextState];
-      if (rand <= cumulativeProb) {
-        currentState = nextState;
-        break;
-      }
+  const stop = () => {
+    setRecording(false);
+    try {
+      setSequence(applyRecording(sequence, samples.current, { keepTiming }));
+    } catch (error) {
+      setError(error.message);
     }
-    
-    pattern.push(currentState);
-  }
+  };
 
-  return pattern;
+  return (
+    <div className="record-controls">
+      <button className={cx({ recording })} onClick={recording ? stop : start}>
+        {recording ? "stop recording" : "record"}
+      </button>
+      <select value={source} onChange={(e) => setSource(e.target.value)} disabled={recording}>
+        <option value="pad">record pad</option>
+        <option value="stream">bridge stream</option>
+      </select>
+      {source === "stream" ? (
+        <input type="text" value={address} onChange={(e) => setAddress(e.target.value)} disabled={recording} />
+      ) : null}
+      <label>
+        <input type="checkbox" checked={keepTiming} onChange={(e) => setKeepTiming(e.target.checked)} />
+        keep timing
+      </label>
+      {status ? <span> {status}</span> : null}
+      {recording && source === "pad" ? <RecordPad level={level} onLevel={capture} /> : null}
+      {recording && source === "stream" && level !== null ? <progress value={level} max={1} /> : null}
+      {error ? <div className="error">{error}</div> : null}
+    </div>
+  );
 }
 
-/**
- * Generates a pattern of numbers that exhibit organic motion.
- * @param {number} rows - The number of rows for the pattern.
- * @param {number} cols - The number of columns for the pattern.
- * @returns {number[]} - A 1D array of numbers representing an organic motion pattern.
- * The algorithm works by starting at a random intensity level and then deciding
- * to increase, decrease, or hold the intensity level at each step, favoring small
- * changes. The intensity levels are then clamped to the valid range [0, rows-1].
- */
-function generateOrganicMotion(rows, cols) {
-  let pattern = [];
-  // Start at a random intensity level
-  let current = Math.floor(Math.random() * rows);
-  pattern.push(current);
-  for (let i = 1; i < cols; i++) {
-    // Decide to increase, decrease, or hold (favor small changes)
-    const change = Math.floor(Math.random() * 3) - 1;  // -1, 0, or +1
-    let next = current + change;
-    // Clamp to valid range [0, rows-1]
-    if (next < 0) next = 0;
-    if (next > rows - 1) next = rows - 1;
-    pattern.push(next);
-    current = next;
-  }
-  return pattern;
-}
+// Toolbar of transforms applied to the whole pattern, and of ways to combine
+// it with another sequence into a new one
+function TransformToolbar({ sequence, setSequence, sequences, onAdd, columnMin, columnMax }) {
+  const columns = sequence.values.length;
+  const [stretchTo, setStretchTo] = useState(columns);
+  const [gain, setGain] = useState(1);
+  const [offset, setOffset] = useState(0);
+  const [levels, setLevels] = useState(sequence.rows);
+  const [otherId, setOtherId] = useState("");
+  const [overlap, setOverlap] = useState(4);
+  const others = sequences.filter((other) => other.id !== sequence.id);
+  const other = others.find(({ id }) => id === otherId) || others[0];
+  // Joined sequences can't be longer than a sequence can be, as with mirror
+  const joined = other ? columns + other.values.length : 0;
+  const faded = other ? joined - Math.min(overlap, columns, other.values.length) : 0;
 
-async function generateLLMPattern(description, rows, cols) {
-  const controller = new LLMMovementController();
-  const commands = await controller.generateMovementSequence(description, cols * 100);
-  return commands.map(v => Math.floor(v * (rows - 1)));
-}
+  // Effect to start the step and level inputs from the sequence's own size
+  // whenever it changes
+  useEffect(() => {
+    setStretchTo(columns);
+  }, [sequence.id, columns]);
+  useEffect(() => {
+    setLevels(sequence.rows);
+  }, [sequence.id, sequence.rows]);
+
+  const apply = (transform, ...args) => setSequence(transform(sequence, ...args));
 
-// Cell component that represents an individual grid cell in the sequencer
-function Cell({ select, selected }) {
   return (
-    <div
-      className={cx("cell", { selected })}
-      onClick={select}
-      onPointerMove={(e) => e.buttons && select()}
-    ></div>
+    <div className="transform-toolbar">
+      <button onClick={() => apply(invert)}>invert</button>
+      <button onClick={() => apply(reverse)}>reverse</button>
+      <button onClick={() => apply(mirror)} disabled={columns * 2 > columnMax}>mirror</button>
+      <button onClick={() => apply(shift, -1)}>shift ←</button>
+      <button onClick={() => apply(shift, 1)}>shift →</button>
+      <button onClick={() => apply(smooth, 1)}>smooth</button>
+      <span>
+        <button onClick={() => apply(stretch, stretchTo)} disabled={stretchTo === columns}>stretch to</button>
+        <input
+          type="number"
+          min={columnMin}
+          max={columnMax}
+          value={stretchTo}
+          onChange={(e) => setStretchTo(Math.max(columnMin, Math.min(columnMax, Number(e.target.value) || columns)))}
+        />
+      </span>
+      <span>
+        <button onClick={() => apply(scale, gain, offset)}>scale</button>
+        ×<input type="number" step={0.1} value={gain} onChange={(e) => setGain(Number(e.target.value) || 0)} />
+        +<input type="number" step={0.1} min={-1} max={1} value={offset} onChange={(e) => setOffset(Number(e.target.value) || 0)} />
+      </span>
+      <span>
+        <button onClick={() => apply(quantize, levels)}>quantize</button>
+        <input type="number" min={2} max={MAX_ROWS} value={levels} onChange={(e) => setLevels(Number(e.target.value) || 2)} />
+        levels
+      </span>
+      {others.length ? (
+        <span>
+          with
+          <select value={other.id} onChange={(e) => setOtherId(e.target.value)}>
+            {others.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>
+                sequence {sequences.indexOf(candidate) + 1}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => onAdd(concatenate(sequence, other))} disabled={joined > columnMax}>
+            concatenate
+          </button>
+          <button onClick={() => onAdd(crossfade(sequence, other, overlap))} disabled={faded > columnMax}>
+            crossfade
+          </button>
+          <input type="number" min={1} value={overlap} onChange={(e) => setOverlap(Math.max(1, Number(e.target.value) || 1))} />
+          steps
+        </span>
+      ) : null}
+    </div>
   );
 }
 
-// Column component that represents a column of cells
-function Column({ playing, val, setVal, rows }) {
+// How far the audio may drift from the steps before it's moved back, in s
+const AUDIO_DRIFT = 0.08;
+
+// Player for the audio file an audio-mode sequence was made from. It follows
+// the sequence's transport, and puts the audio back on the step being played
+// whenever the two drift apart, so the music stays in sync with the output.
+function AudioPlayer({ sequence, scheduler }) {
+  const fileId = sequence.params && sequence.params.file ? sequence.params.file.id : null;
+  const [audio, setAudio] = useState(null);
+  const [volume, setVolume] = useState(1);
+  const [error, setError] = useState(null);
+  const latest = useRef();
+  latest.current = sequence;
+
+  // Effect to load the file into an audio element
+  useEffect(() => {
+    setAudio(null);
+    if (!fileId) return;
+    const element = new Audio();
+    let url = null;
+    let cancelled = false;
+    loadAudioFile(fileId)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        element.src = url;
+        setAudio(element);
+        setError(null);
+      })
+      .catch((error) => !cancelled && setError(error.message));
+    return () => {
+      cancelled = true;
+      element.pause();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [fileId]);
+
+  useEffect(() => {
+    if (audio) audio.volume = volume;
+  }, [audio, volume]);
+
+  // Effect to start, stop and seek the audio along with the transport
+  useEffect(() => {
+    if (!audio) return;
+    // Where a step starts in the file, in seconds
+    const timeAt = (index) => {
+      const durations = stepDurations(latest.current);
+      let time = latest.current.audioStart || 0;
+      for (let i = 0; i < index; i++) time += durations[i];
+      return time / 1000;
+    };
+    const play = (index) => {
+      audio.currentTime = timeAt(index);
+      audio.play().catch((error) => setError(error.message));
+    };
+    const unsubscribe = [
+      scheduler.on("start", play),
+      scheduler.on("stop", () => audio.pause()),
+      scheduler.on("seek", (index) => {
+        audio.currentTime = timeAt(index);
+      }),
+      scheduler.on("step", ({ index, time }) => {
+        if (audio.paused) return;
+        const expected = timeAt(index) + (performance.now() - time) / 1000;
+        if (Math.abs(audio.currentTime - expected) > AUDIO_DRIFT) audio.currentTime = expected;
+      }),
+    ];
+    if (scheduler.playing) play(scheduler.position);
+    return () => {
+      unsubscribe.forEach((off) => off());
+      audio.pause();
+    };
+  }, [audio, scheduler]);
+
+  if (!fileId) return null;
   return (
-    <div className={cx("column", { playing })}>
-      {range(rows).map((i) => (
-        <Cell key={i} select={() => setVal(i)} selected={val === i} />
-      ))}
+    <div className="audio-player">
+      ♪ {sequence.params.file.name}
+      {sequence.bpm ? ` · ${Math.round(sequence.bpm * 10) / 10} BPM` : null}
+      <label>
+        volume
+        <input type="range" min={0} max={1} step={0.05} value={volume} onChange={(e) => setVolume(Number(e.target.value))} />
+      </label>
+      {!audio && !error ? <span>loading…</span> : null}
+      {error ? <span className="error">{error}</span> : null}
     </div>
   );
 }
@@ -435,92 +722,175 @@ function Sequencer({
   sequence,
   setSequence,
   device,
+  devices,
+  mixer,
   paused,
   onToggle,
   onRemove,
   autoAdvance, // new prop
   onAdvance,   // new prop
   isLast,      // new prop
+  sequences,
+  onAdd,
+  restoreCount,
 }) {
   const [playingIndex, setPlayingIndex] = useState(0);
-  const [rows, setRows] = useState(5);
-  const [columns, setColumns] = useState(16);
-  const [patternMode, setPatternMode] = useState('manual');
-  const columnMin = 8; // Configurable minimum value for columns
-  const columnMax = 64; // Configurable maximum value for columns
+  // The devices and actuators this sequence plays on, matched by name
+  const targets = useMemo(
+    () => resolveRoutes(sequence.routes, devices, device),
+    [sequence.routes, devices, device]
+  );
+  const [showStepDurations, setShowStepDurations] = useState(
+    Boolean(sequence.stepDurations && sequence.stepDurations.some(Boolean))
+  );
+  const scheduler = useMemo(() => new PlaybackScheduler(), []);
+  // Latest auto-advance props, read when the scheduler loops
+  const advance = useRef();
+  advance.current = { autoAdvance, onAdvance, isLast };
+  const rows = sequence.rows;
+  const columns = sequence.values.length;
+  const generator = getGenerator(sequence.mode);
+  const columnMin = MIN_COLUMNS;
+  const columnMax = MAX_COLUMNS;
+  // The edit that asked for new values, together with the column count
+  // wanted. Restoring a sequence (reload, undo, redo) never sets it, so saved
+  // and hand-edited values aren't regenerated behind the user's back.
+  const [generation, setGeneration] = useState(null);
+  const [generationStatus, setGenerationStatus] = useState({ pending: false, error: null });
+  // Latest sequence and setter, for generators that finish asynchronously
+  const latest = useRef();
+  latest.current = { sequence, setSequence };
 
-  // Effect to generate initial sequence based on selected pattern mode
+  // Effect to generate the sequence's values from the selected generator. A
+  // newer edit, a cancel or unmounting aborts the run, so a slow generator
+  // can't overwrite newer values when it finally answers.
   useEffect(() => {
-    let newSequence;
+    if (!generation) return;
+    const { sequence, columns } = generation;
+    const generator = getGenerator(sequence.mode);
+    // Every generator draws from the sequence's seed so the same seed
+    // always regenerates the same pattern
+    const random = createRandom(sequence.seed);
+    const controller = new AbortController();
     const generate = async () => {
-      switch (patternMode) {
-      case 'random':
-        newSequence = generateRandomPattern(rows, columns);
-        break;
-      case 'sine':
-        newSequence = generateSineWavePattern(rows, columns);
-        break;
-      case 'cellular':
-        newSequence = generateCellularPattern(rows, columns);
-        break;
-      case 'neural':
-        newSequence = generateNeuralPattern(rows, columns);
-        break;
-      case 'l-system':
-        newSequence = generateLSystemPattern(rows, columns);
-        break;
-      case 'genetic':
-        newSequence = generateGeneticPattern(rows, columns);
-        break;
-      case 'markov':
-        newSequence = generateMarkovPattern(rows, columns);
-        break;
-      case 'perlin':
-        newSequence = generatePerlinPattern(rows, columns);
-        break;
-      case 'brownian':
-        newSequence = generateBrownianPattern(rows, columns);
-        break;
-      case 'life-like':
-        newSequence = generateLifeLikePattern(rows, columns);
-        break;
-      case 'smooth-life':
-        newSequence = generateSmoothLifePattern(rows, columns);
-        break;
-      case 'organic-motion':
-        newSequence = generateOrganicMotion(rows, columns);
-        break;
-      case 'llm':
-        newSequence = await generateLLMPattern('Create a vibration pattern', rows, columns);
-        break;
-      case 'auto':
-        newSequence = range(columns).map(i =>
-          Math.floor(Math.sin(i * 0.5) * (rows - 1) + Math.random() * 2)
-        );
-        break;
-      default:
-        // Preserve existing values for manual mode and adjust column count
-        newSequence = [...(sequence.values || [])];
-        if (newSequence.length < columns) {
-          newSequence = [...newSequence, ...Array(columns - newSequence.length).fill(0)];
-        } else if (newSequence.length > columns) {
-          newSequence = newSequence.slice(0, columns);
+      setGenerationStatus({ pending: true, error: null });
+      try {
+        const { values, changes } = await runGenerator(generator, sequence.rows, columns, {
+          random,
+          seed: sequence.seed,
+          params: { ...defaultParams(generator), ...sequence.params },
+          values: sequence.values,
+          signal: controller.signal,
+          onProgress: (progress) => {
+            if (!controller.signal.aborted) setGenerationStatus({ pending: true, error: null, progress });
+          },
+        });
+        if (controller.signal.aborted) return;
+        // The new values complete the edit that asked for them, so they
+        // share its undo step
+        latest.current.setSequence({ ...latest.current.sequence, ...changes, values }, { record: false });
+        setGenerationStatus({ pending: false, error: null });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        // A request cancelled elsewhere isn't a failure worth showing
+        if (isAbortError(error)) {
+          setGenerationStatus({ pending: false, error: null });
+          return;
         }
+        console.error(`Failed to generate the ${generator.label} pattern:`, error);
+        setGenerationStatus({ pending: false, error: error.message });
       }
-      setSequence({
-        ...sequence,
-        values: newSequence
-      });
     };
     generate();
-  }, [patternMode, rows, columns]);
+    return () => controller.abort();
+  }, [generation]);
+
+  // Effect to abort a running generation on undo or redo, as its result
+  // would overwrite the restored values
+  useEffect(() => {
+    setGeneration(null);
+    setGenerationStatus({ pending: false, error: null });
+  }, [restoreCount]);
+
+  // Callback to apply an edit and regenerate the values from it
+  const regenerate = useCallback(
+    (changed, columns = changed.values.length) => {
+      setSequence(changed);
+      setGeneration({ sequence: changed, columns });
+    },
+    [setSequence]
+  );
 
-  // Callback to set a value in the sequence at a specific index
+  // Callback to set a value in the sequence at a specific index. Dragging
+  // across cells is grouped into a single undo step.
   const setVal = useCallback(
     (v, i) => {
-      const newSequence = {...sequence};
-      newSequence.values[i] = v;
-      setSequence(newSequence);
+      const values = sequence.values.slice(0);
+      values[i] = v;
+      setSequence({ ...sequence, values }, { group: `values:${sequence.id}` });
+    },
+    [sequence, setSequence]
+  );
+
+  // Callback to change the number of columns
+  const setColumns = useCallback(
+    (columns) => {
+      if (columns >= 1) regenerate({ ...sequence }, columns);
+    },
+    [sequence, regenerate]
+  );
+
+  // Callback to change the row resolution. The stored levels are kept and
+  // only shown and played snapped onto the new grid.
+  const setRows = useCallback(
+    (rows) => {
+      if (!(rows >= MIN_ROWS && rows <= MAX_ROWS)) return;
+      setSequence({ ...sequence, rows });
+    },
+    [sequence, setSequence]
+  );
+
+  // Callback to switch generator, resetting its parameters to their defaults
+  const setMode = useCallback(
+    (mode) => {
+      regenerate({ ...sequence, mode, params: defaultParams(getGenerator(mode)) });
+    },
+    [sequence, regenerate]
+  );
+
+  // Callback to set one parameter of the selected generator
+  const setParam = useCallback(
+    (key, value) => {
+      regenerate({ ...sequence, params: { ...sequence.params, [key]: value } });
+    },
+    [sequence, regenerate]
+  );
+
+  // Callback to set the seed used by the pattern generators
+  const setSeed = useCallback(
+    (seed) => {
+      regenerate({ ...sequence, seed: seed >>> 0 });
+    },
+    [sequence, regenerate]
+  );
+
+  // Callback to change the timing fields of a sequence (swing, tempo, BPM).
+  // Slider drags are grouped into a single undo step.
+  const setTiming = useCallback(
+    (timing) => {
+      setSequence({ ...sequence, ...timing }, { group: `timing:${sequence.id}` });
+    },
+    [sequence, setSequence]
+  );
+
+  // Callback to give one step its own length, or clear it with 0
+  const setStepDuration = useCallback(
+    (ms, i) => {
+      const stepDurations = sequence.values.map((_, j) =>
+        (sequence.stepDurations && sequence.stepDurations[j]) || null
+      );
+      stepDurations[i] = ms > 0 ? ms : null;
+      setSequence({ ...sequence, stepDurations });
     },
     [sequence, setSequence]
   );
@@ -530,66 +900,84 @@ function Sequencer({
     (duration) => {
       const newSequence = {...sequence};
       newSequence.duration = duration;
-      setSequence(newSequence);
+      setSequence(newSequence, { group: `duration:${sequence.id}` });
     },
     [sequence, setSequence]
   );
 
-  // Effect to manage playing state and device commands based on sequence
+  // Keep the scheduler on the latest edit without interrupting playback
+  const played = useMemo(() => ({ ...sequence, values: playedLevels(sequence) }), [sequence]);
   useEffect(() => {
-      if (!device || paused || !sequence || !sequence.values) return;
-      
-      const id = setInterval(() => {
-      setPlayingIndex((playingIndex) => {
-        const nextPlayingIndex = (playingIndex + 1) % columns;
-        const allowedMessages = device.AllowedMessages;
-        const messageTypes = Buttplug.ButtplugDeviceMessageType;
-        if (allowedMessages.includes(messageTypes.LinearCmd)) {
-          device.linear(sequence.values[nextPlayingIndex] / 4, Math.floor(sequence.duration * 0.9));
-        } else if (allowedMessages.includes(messageTypes.VibrateCmd)) {
-          device.vibrate(sequence.values[nextPlayingIndex] / 4);
-        }
-        // If we've reached the end and autoAdvance is enabled, call onAdvance
-        if (nextPlayingIndex === 0 && autoAdvance && onAdvance && !isLast) {
-          setTimeout(() => onAdvance(), 0);
-        }
-        return nextPlayingIndex;
-      });
-    }, sequence.duration);
+    scheduler.setSequence(played);
+  }, [scheduler, played]);
 
-      return () => clearInterval(id);
-}, [device, paused, sequence, autoAdvance, onAdvance, isLast, columns]);
+  // Effect to follow the scheduler: highlight the playing column and
+  // auto-advance once the sequence wraps around
+  useEffect(() => {
+    const offPosition = scheduler.on("position", setPlayingIndex);
+    const offLoop = scheduler.on("loop", () => {
+      const { autoAdvance, onAdvance, isLast } = advance.current;
+      if (autoAdvance && onAdvance && !isLast) onAdvance();
+    });
+    return () => {
+      offPosition();
+      offLoop();
+    };
+  }, [scheduler]);
+
+  // Effect to send each step to the mixer, which blends it with the other
+  // playing tracks on the routed devices. Vibrate devices also get
+  // intermediate levels between steps unless the sequence holds.
+  useEffect(() => {
+    if (!targets.length || paused) return;
+    const vibrateTargets = targets.filter(({ device }) => deviceKind(device) === "vibrate");
+    let frames;
+    const offStep = scheduler.on("step", ({ index, value, duration }) => {
+      clearInterval(frames);
+      mixer.write(sequence.id, targets, value, Math.floor(duration * 0.9));
+      const { values, interpolation = "hold", updateRate = DEFAULT_UPDATE_RATE } = scheduler.sequence;
+      if (interpolation === "hold" || !vibrateTargets.length) return;
+      const start = performance.now();
+      frames = setInterval(() => {
+        const t = (performance.now() - start) / duration;
+        if (t >= 1) return;
+        const level = interpolate(values, index, t, interpolation);
+        mixer.write(sequence.id, vibrateTargets, level);
+      }, 1000 / updateRate);
+    });
+    // Stop at once on panic, without waiting for the app to re-render
+    const offPanic = mixer.safety.on("panic", () => {
+      clearInterval(frames);
+      scheduler.stop();
+    });
+    scheduler.start();
+    return () => {
+      clearInterval(frames);
+      scheduler.stop();
+      offStep();
+      offPanic();
+      mixer.release(sequence.id);
+    };
+  }, [scheduler, mixer, sequence.id, targets, paused]);
 
   return (
     <div className="sequencer">
       <div className="controls">
         <select 
-          value={patternMode} 
-          onChange={(e) => setPatternMode(e.target.value)}
+          value={generator.id} 
+          onChange={(e) => setMode(e.target.value)}
         >
-          <option value="manual">Manual</option>
-          <option value="random">Random</option>
-          <option value="sine">Sine Wave</option>
-          <option value="cellular">Cellular Automaton</option>
-          <option value="neural">Neural Network</option>
-          <option value="l-system">L-System</option>
-          <option value="genetic">Genetic Algorithm</option>
-          <option value="markov">Markov Chain</option>
-          <option value="perlin">Perlin Noise</option>
-          <option value="brownian">Brownian Motion</option>
-          <option value="life-like">Life-like</option>
-          <option value="smooth-life">Smooth Life-like</option>
-          <option value="organic-motion">Organic Motion</option>
-          <option value="llm">LLM Generated</option>
-          <option value="auto">Auto</option>
+          {listGenerators().map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
         </select>
         <div className="grid-controls">
           <label>
             Rows:
             <input 
               type="number" 
-              min="5" 
-              max="5" 
+              min={MIN_ROWS} 
+              max={MAX_ROWS} 
               value={rows} 
               onChange={(e) => setRows(Number(e.target.value))}
             />
@@ -604,8 +992,18 @@ function Sequencer({
               onChange={(e) => setColumns(Number(e.target.value))}
             />
           </label>
+          <label>
+            Seed:
+            <input
+              type="number"
+              min="0"
+              value={sequence.seed}
+              onChange={(e) => setSeed(Number(e.target.value))}
+            />
+          </label>
+          <button onClick={() => setSeed(randomSeed())}>reroll</button>
         </div>
-        <button onClick={() => onToggle(paused)} disabled={!device}>
+        <button onClick={() => onToggle(paused)} disabled={!targets.length}>
           {paused ? "play" : "pause"}
         </button>
         <sp-slider
@@ -616,12 +1014,45 @@ function Sequencer({
           min={100}
           max={1000}
           step={50}
+          disabled={sequence.bpm > 0 || undefined}
           onInput={(e) => setDuration(parseInt(e.target.value, 10))}
         />
         <div className="spacer"></div>
+        <button onClick={() => downloadFile("sequence.funscript", JSON.stringify(toFunscript([sequence])))}>
+          export
+        </button>
         <button onClick={onRemove}>remove</button>
       </div>
-      <div className="grid" style={{
+      <RoutingControls sequence={sequence} setSequence={setSequence} devices={devices} />
+      <InterpolationControls sequence={sequence} setSequence={setSequence} />
+      <RecordControls sequence={sequence} setSequence={setSequence} />
+      {sequence.mode === "audio" ? <AudioPlayer sequence={sequence} scheduler={scheduler} /> : null}
+      <TransformToolbar
+        sequence={sequence}
+        setSequence={setSequence}
+        sequences={sequences}
+        onAdd={onAdd}
+        columnMin={columnMin}
+        columnMax={columnMax}
+      />
+      <TimingControls
+        sequence={sequence}
+        setTiming={setTiming}
+        showStepDurations={showStepDurations}
+        setShowStepDurations={setShowStepDurations}
+      />
+      <GeneratorParams
+        generator={generator}
+        params={{ ...defaultParams(generator), ...sequence.params }}
+        setParam={setParam}
+        onRegenerate={() => regenerate({ ...sequence })}
+        onCancel={() => {
+          setGeneration(null);
+          setGenerationStatus({ pending: false, error: null });
+        }}
+        status={generationStatus}
+      />
+      <div className={cx("grid", { dense: rows > 12 })} style={{
         gridTemplateColumns: `repeat(${columns}, 1fr)`,
         gridTemplateRows: `repeat(${rows}, 1fr)`
       }}>
@@ -632,6 +1063,12 @@ function Sequencer({
             val={val} 
             rows={rows}
             setVal={(v) => setVal(v, i)} 
+            seek={() => scheduler.seek(i)}
+            stepDuration={sequence.stepDurations && sequence.stepDurations[i]}
+            setStepDuration={showStepDurations ? (ms) => setStepDuration(ms, i) : null}
+            curve={sequence.interpolation && sequence.interpolation !== "hold"
+              ? sampleColumn(played.values, i, sequence.interpolation)
+              : null}
           />
         )) : null}
       </div>
@@ -639,19 +1076,423 @@ function Sequencer({
   );
 }
 
-// Initial sequences fetched from local storage or default
-const initialSequences = localStorage.sequences
-  ? JSON.parse(localStorage.sequences)
-  : [{values: range(16).map(() => 0), duration: 200}];
+// Imports a .funscript file as a new sequence, resampled to the chosen grid
+function FunscriptImport({ onImport }) {
+  const [columns, setColumns] = useState(16);
+  const [rows, setRows] = useState(DEFAULT_ROWS);
+  const [keepTiming, setKeepTiming] = useState(false);
+  const [error, setError] = useState();
+
+  const importFile = async (file) => {
+    try {
+      const script = JSON.parse(await file.text());
+      onImport(fromFunscript(script, {
+        columns: clampInteger(columns, MIN_COLUMNS, MAX_COLUMNS, 16),
+        rows: clampInteger(rows, MIN_ROWS, MAX_ROWS, DEFAULT_ROWS),
+        keepTiming,
+      }));
+      setError(null);
+    } catch (error) {
+      setError(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="file-import">
+      <label>
+        import funscript:{" "}
+        <input
+          type="file"
+          accept=".funscript,.json"
+          onChange={(e) => {
+            if (e.target.files[0]) importFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+      <label>
+        columns:
+        <input
+          type="number"
+          min={MIN_COLUMNS}
+          max={MAX_COLUMNS}
+          value={columns}
+          onChange={(e) => setColumns(Number(e.target.value))}
+        />
+      </label>
+      <label>
+        rows:
+        <input
+          type="number"
+          min={MIN_ROWS}
+          max={MAX_ROWS}
+          value={rows}
+          onChange={(e) => setRows(Number(e.target.value))}
+        />
+      </label>
+      <label>
+        <input type="checkbox" checked={keepTiming} onChange={(e) => setKeepTiming(e.target.checked)} />
+        keep timing
+      </label>
+      {error ? <div className="error">{error}</div> : null}
+    </div>
+  );
+}
+
+// Imports parts of a Standard MIDI File, each chosen track and channel
+// becoming its own sequence
+function MidiImport({ onImport }) {
+  const [midi, setMidi] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [stepsPerBeat, setStepsPerBeat] = useState(4);
+  const [mapping, setMapping] = useState("velocity");
+  const [rows, setRows] = useState(DEFAULT_ROWS);
+  const [error, setError] = useState();
+  const parts = useMemo(() => (midi ? listMidiParts(midi) : []), [midi]);
+  const partKey = ({ track, channel }) => `${track}:${channel}`;
+
+  const openFile = async (file) => {
+    try {
+      const parsed = parseMidi(await file.arrayBuffer());
+      const found = listMidiParts(parsed);
+      if (!found.length) throw new Error("The file has no notes");
+      setMidi(parsed);
+      setFileName(file.name);
+      setSelected(found.map(partKey));
+      setError(null);
+    } catch (error) {
+      setMidi(null);
+      setError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const importParts = () => {
+    const importRows = clampInteger(rows, MIN_ROWS, MAX_ROWS, DEFAULT_ROWS);
+    try {
+      onImport(parts
+        .filter((part) => selected.includes(partKey(part)))
+        .flatMap((part) => midiToSequences(midi, { ...part, stepsPerBeat, mapping, rows: importRows })));
+      setError(null);
+    } catch (error) {
+      setError(`Could not import ${fileName}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="file-import">
+      <label>
+        import midi:{" "}
+        <input
+          type="file"
+          accept=".mid,.midi"
+          onChange={(e) => {
+            if (e.target.files[0]) openFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+      <label>
+        grid:
+        <select value={stepsPerBeat} onChange={(e) => setStepsPerBeat(Number(e.target.value))}>
+          {MIDI_GRIDS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        level from:
+        <select value={mapping} onChange={(e) => setMapping(e.target.value)}>
+          {MIDI_MAPPINGS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        rows:
+        <input
+          type="number"
+          min={MIN_ROWS}
+          max={MAX_ROWS}
+          value={rows}
+          onChange={(e) => setRows(Number(e.target.value))}
+        />
+      </label>
+      {midi ? (
+        <div className="midi-parts">
+          {fileName}:
+          {parts.map((part) => (
+            <label key={partKey(part)}>
+              <input
+                type="checkbox"
+                checked={selected.includes(partKey(part))}
+                onChange={(e) => setSelected(e.target.checked
+                  ? [...selected, partKey(part)]
+                  : selected.filter((key) => key !== partKey(part)))}
+              />
+              {part.label} ({part.notes} notes)
+            </label>
+          ))}
+          <button onClick={importParts} disabled={!selected.length}>import</button>
+        </div>
+      ) : null}
+      {error ? <div className="error">{error}</div> : null}
+    </div>
+  );
+}
+
+// Safety limits, edited in the header of the app
+function SafetyControls({ settings, setSettings, onPanic }) {
+  const setSetting = (key, value) => {
+    if (Number.isFinite(value) && value >= 0) setSettings({ ...settings, [key]: value });
+  };
+  return (
+    <div className="safety-controls">
+      <button className="panic" onClick={onPanic} title="Escape">stop all</button>
+      <label>
+        max intensity:
+        <input
+          type="number"
+          min="0"
+          max="1"
+          step="0.05"
+          value={settings.maxIntensity}
+          onChange={(e) => setSetting("maxIntensity", Math.min(1, Number(e.target.value)))}
+        />
+      </label>
+      <label>
+        max stroke speed (/s):
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={settings.maxSpeed * 1000}
+          onChange={(e) => setSetting("maxSpeed", Number(e.target.value) / 1000)}
+        />
+      </label>
+      <label>
+        soft start (ms):
+        <input
+          type="number"
+          min="0"
+          step="500"
+          value={settings.softStart}
+          onChange={(e) => setSetting("softStart", Number(e.target.value))}
+        />
+      </label>
+      <label>
+        session limit (min, 0 = none):
+        <input
+          type="number"
+          min="0"
+          value={settings.sessionLimit}
+          onChange={(e) => setSetting("sessionLimit", Number(e.target.value))}
+        />
+      </label>
+    </div>
+  );
+}
+
+// Safety settings saved from the last visit
+function loadSafetySettings() {
+  try {
+    return { ...DEFAULT_SAFETY, ...JSON.parse(localStorage.safety || "{}") };
+  } catch (error) {
+    console.error("Failed to read safety settings:", error);
+    return DEFAULT_SAFETY;
+  }
+}
+
+// Initial sequences and arrangement, migrated and validated from storage
+const { sequences: initialSequences, arrangement: initialArrangement } = loadState();
 
 // App component representing the main application
 function App() {
-  const [connecting, setConnecting] = useState(true);
-  const [devices, setDevices] = useState([]);
+  const connection = useMemo(
+    () => new ConnectionManager({ address: localStorage.serverAddress || DEFAULT_SERVER_ADDRESS }),
+    []
+  );
+  const [connectionState, setConnectionState] = useState(connection.state());
+  // On-screen devices for use without hardware, listed before the real ones
+  const virtualDevices = useMemo(createVirtualDevices, []);
+  const [virtual, setVirtual] = useState(localStorage.virtualDevices === "true");
+  const devices = useMemo(
+    () => (virtual ? [...virtualDevices, ...connectionState.devices] : connectionState.devices),
+    [virtual, virtualDevices, connectionState.devices]
+  );
   const [device, setDevice] = useState();
+  // Latest selected device, for connection events
+  const deviceRef = useRef();
+  deviceRef.current = device;
   const [sequences, setSequences] = useState(initialSequences);
-  const [playing, setPlaying] = useState();
+  // Latest sequences and arrangement, so changes never build on a stale render
+  const sequencesRef = useRef(initialSequences);
+  const arrangementRef = useRef(initialArrangement);
+  const history = useMemo(
+    () => new History({ version: SCHEMA_VERSION, validate: validateSavedState }),
+    []
+  );
+  // Counts undos and redos, so sequencers can drop generations started
+  // from the state that was replaced
+  const [restoreCount, setRestoreCount] = useState(0);
+  const [arrangement, setArrangementState] = useState(initialArrangement);
+  // Ids of the sequences armed to play together
+  const [playing, setPlaying] = useState([]);
   const [autoAdvance, setAutoAdvance] = useState(false);
+  const [blendMode, setBlendMode] = useState(localStorage.blendMode || "max");
+  const [safetySettings, setSafetySettings] = useState(loadSafetySettings);
+  const [stopReason, setStopReason] = useState(null);
+  const safety = useMemo(() => new SafetyLimiter(safetySettings), []);
+  const mixer = useMemo(() => new OutputMixer(blendMode, safety), []);
+
+  // Effect to apply the blend mode used where armed sequences overlap
+  useEffect(() => {
+    localStorage.blendMode = blendMode;
+    mixer.setBlendMode(blendMode);
+  }, [mixer, blendMode]);
+
+  // Effect to apply and save the safety settings
+  useEffect(() => {
+    localStorage.safety = JSON.stringify(safetySettings);
+    safety.configure(safetySettings);
+  }, [safety, safetySettings]);
+
+  // Effect to keep the limiter aware of every device it must stop on panic
+  useEffect(() => {
+    safety.setDevices(devices);
+  }, [safety, devices]);
+
+  // Effect to let the mixer retry devices that failed, once devices change
+  useEffect(() => {
+    mixer.devicesChanged();
+  }, [mixer, devices]);
+
+  // Effect to keep the selected device when devices come and go
+  useEffect(() => {
+    localStorage.virtualDevices = virtual;
+    setDeviceIndex(localStorage.deviceIndex, devices);
+  }, [devices]);
+
+  // Effect to disarm every sequence on panic and tell the user why, until
+  // playback begins again
+  useEffect(() => {
+    const offPanic = safety.on("panic", (reason) => {
+      setPlaying([]);
+      setStopReason(reason);
+    });
+    const offBegin = safety.on("begin", () => setStopReason(null));
+    return () => {
+      offPanic();
+      offBegin();
+    };
+  }, [safety]);
+
+  // Effect to stop everything on the panic key, and whenever the tab is
+  // hidden or the page goes away
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") safety.panic("stopped with the panic key");
+    };
+    const onVisibilityChange = () => {
+      if (document.hidden && safety.playing) safety.panic("stopped because the tab was hidden");
+    };
+    const onPageHide = () => safety.panic("stopped because the page was closed");
+    window.addEventListener("keydown", onKeyDown);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    window.addEventListener("pagehide", onPageHide);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+      window.removeEventListener("pagehide", onPageHide);
+    };
+  }, [safety]);
+
+  // The sequences and arrangement together, as the undo history holds them
+  const currentState = () => ({ sequences: sequencesRef.current, arrangement: arrangementRef.current });
+
+  // Callback to save the sequences and arrangement, where they changed, and
+  // show them
+  const applyState = useCallback(({ sequences, arrangement }) => {
+    if (sequences !== sequencesRef.current) saveSequences(sequences);
+    if (arrangement !== arrangementRef.current) saveArrangement(arrangement);
+    sequencesRef.current = sequences;
+    arrangementRef.current = arrangement;
+    setSequences(sequences);
+    setArrangementState(arrangement);
+  }, []);
+
+  // Callback every change to the sequences or arrangement goes through,
+  // saving it and, unless `record` is false, adding it to the undo history.
+  // Changing both at once makes a single undo step.
+  const commitState = useCallback((changes, { group, record = true } = {}) => {
+    const previous = currentState();
+    applyState({ ...previous, ...changes });
+    if (record) history.record(previous, group);
+  }, [history, applyState]);
+
+  const commitSequences = useCallback(
+    (sequences, options) => commitState({ sequences }, options),
+    [commitState]
+  );
+  const setArrangement = useCallback(
+    (arrangement) => commitState({ arrangement }),
+    [commitState]
+  );
+
+  // Callback to put back a state from the undo history
+  const restoreState = useCallback((state) => {
+    if (!state) return;
+    applyState(state);
+    setRestoreCount((count) => count + 1);
+  }, [applyState]);
+
+  const undo = useCallback(
+    () => restoreState(history.undo(currentState())),
+    [history, restoreState]
+  );
+  const redo = useCallback(
+    () => restoreState(history.redo(currentState())),
+    [history, restoreState]
+  );
+
+  // Effect to restore the saved undo history, re-rendering the undo and redo
+  // buttons once it's there
+  const [, setHistoryLoaded] = useState(false);
+  useEffect(() => {
+    history.load().then(() => setHistoryLoaded(true));
+  }, [history]);
+
+  // Effect for the undo/redo shortcuts, and to end grouped edits (drags)
+  // when the pointer is released
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Leave text fields their own undo
+      const target = e.target;
+      if (target.tagName === "TEXTAREA" || (target.tagName === "INPUT" && target.type !== "checkbox")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") redo();
+      else return;
+      e.preventDefault();
+    };
+    const onPointerUp = () => history.endGroup();
+    // Don't lose edits made within the save delay
+    const onPageHide = () => history.flush();
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("pointerup", onPointerUp);
+    window.addEventListener("pagehide", onPageHide);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("pointerup", onPointerUp);
+      window.removeEventListener("pagehide", onPageHide);
+    };
+  }, [history, undo, redo]);
+
+  // Callback to append a sequence to the list
+  const addSequence = (sequence) => {
+    commitSequences([...sequencesRef.current, sequence]);
+  };
 
   // Callback to set the device index from a list of devices
   const setDeviceIndex = useCallback((index, devices) => {
@@ -664,54 +1505,74 @@ function App() {
     } else if (devices.length) {
       setDevice(devices[0]);
       localStorage.deviceIndex = 0;
+    } else {
+      setDevice(undefined);
     }
   });
 
-  // Effect to initialize connection to device client
+  // Effect to connect to intiface and follow the connection. A dropped
+  // connection stops everything; a removed device stops the sequences
+  // playing on it.
   useEffect(() => {
-    async function init() {
-      try {
-        // Initialize the Buttplug library to set up the client for device communication
-        await Buttplug.buttplugInit();
-      } catch (error) {
-        console.error("Failed to initialize Buttplug:", error);
-        return;
-      }
-
-      const client = new Buttplug.ButtplugClient("vibe sequencer");
-      client.on("deviceadded", () => {
-        setDevices(client.Devices);
-        setDeviceIndex(localStorage.deviceIndex, client.Devices);
-      });
-
-      await client.connect(new Buttplug.ButtplugWebsocketConnectorOptions());
-
-      setDevices(client.Devices);
-      setDeviceIndex(localStorage.deviceIndex, client.Devices);
-
-      client.startScanning();
-
-      setConnecting(false);
-    }
-
-    init();
-  }, []);
+    const offChange = connection.on("change", (state) => {
+      setConnectionState(state);
+      localStorage.serverAddress = state.address;
+    });
+    const offDisconnect = connection.on("disconnect", () => {
+      safety.panic("stopped because the connection to intiface dropped");
+    });
+    const offDeviceRemoved = connection.on("deviceremoved", (removed) => {
+      const affected = sequencesRef.current
+        .filter((sequence) => resolveRoutes(sequence.routes, [removed], deviceRef.current)
+          .some((target) => target.device === removed))
+        .map((sequence) => sequence.id);
+      setPlaying((playing) => playing.filter((id) => !affected.includes(id)));
+    });
+    connection.connect();
+    return () => {
+      offChange();
+      offDisconnect();
+      offDeviceRemoved();
+      connection.disconnect();
+    };
+  }, [connection, safety]);
 
 
   return (
     <sp-theme>
       <h1>vibe sequencer</h1>
 
+      <div className="toolbar">
+        <button onClick={undo} disabled={!history.canUndo} title="Ctrl+Z">undo</button>
+        <button onClick={redo} disabled={!history.canRedo} title="Ctrl+Shift+Z">redo</button>
+      </div>
+
+      <SafetyControls
+        settings={safetySettings}
+        setSettings={setSafetySettings}
+        onPanic={() => safety.panic("stopped")}
+      />
+      {stopReason ? <div className="error">{stopReason}</div> : null}
+
+      <ConnectionPanel
+        connection={connection}
+        state={connectionState}
+        onDisconnect={() => {
+          safety.panic("stopped because intiface was disconnected");
+          connection.disconnect();
+        }}
+      />
+
       {/* Display the device select list, which lets the user select which device to connect to */}
       <label className="device">
         device:{" "}
         <select
-          value={connecting ? "" : localStorage.deviceIndex || ""}
+          value={device ? localStorage.deviceIndex : ""}
           onChange={(e) => setDeviceIndex(e.target.value, devices)}
         >
-          {/* Display a message while the client is connecting to the intiface */}
+          {/* Display a message while there are no devices */}
           <option disabled value="">
-            {connecting ? "connecting to intiface..." : "select a device"}
+            {devices.length ? "select a device" : "not connected"}
           </option>
           {/* List all the devices that are connected */}
           {devices.map((device, i) => (
@@ -725,68 +1586,91 @@ function App() {
         <input type="checkbox" checked={autoAdvance} onChange={e => setAutoAdvance(e.target.checked)} />
         Auto-advance to next pattern
       </label>
+      <label style={{marginLeft: 16}}>
+        blend:{" "}
+        <select value={blendMode} onChange={(e) => setBlendMode(e.target.value)}>
+          {BLEND_MODES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label style={{marginLeft: 16}}>
+        <input type="checkbox" checked={virtual} onChange={(e) => setVirtual(e.target.checked)} />
+        virtual devices
+      </label>
+      {virtual ? <Visualizer devices={virtualDevices} /> : null}
 
       {/* Render all the sequences in the list */}
       {sequences.map((sequence, i) => {
         return (
           <Sequencer
-            key={i}
+            key={sequence.id}
             sequence={sequence}
-            setSequence={(sequence) => {
-              const newSequences = sequences.slice(0);
-              newSequences[i] = sequence;
-              localStorage.sequences = JSON.stringify(newSequences);
-              setSequences(newSequences);
-            }}
+            setSequence={(sequence, options) => commitSequences(
+              sequencesRef.current.map((s) => (s.id === sequence.id ? sequence : s)),
+              options
+            )}
             device={device}
-            paused={playing !== i}
-            onToggle={(play) => {
-              if (play) setPlaying(i);
-              else {
-                device.stop();
-                setPlaying(null);
-              }
-            }}
+            devices={devices}
+            mixer={mixer}
+            paused={!playing.includes(sequence.id)}
+            onToggle={(play) => setPlaying(play
+              ? [...playing, sequence.id]
+              : playing.filter((id) => id !== sequence.id))}
             onRemove={() => {
-              if (playing === i) {
-                if (device) device.stop();
-                setPlaying(null);
-              }
-              const newSequences = sequences.slice(0);
-              newSequences.splice(i, 1);
-              localStorage.sequences = JSON.stringify(newSequences);
-              setSequences(newSequences);
+              setPlaying(playing.filter((id) => id !== sequence.id));
+              commitState({
+                sequences: sequencesRef.current.filter((s) => s.id !== sequence.id),
+                arrangement: {
+                  ...arrangementRef.current,
+                  entries: arrangementRef.current.entries.filter((entry) => entry.sequenceId !== sequence.id),
+                },
+              });
             }}
             autoAdvance={autoAdvance}
             onAdvance={() => {
-              if (i + 1 < sequences.length) {
-                setPlaying(i + 1);
-              } else {
-                setPlaying(null);
-                if (device) device.stop();
-              }
+              // Hand this track over to the next sequence
+              const next = sequences[i + 1];
+              setPlaying((playing) => [
+                ...playing.filter((id) => id !== sequence.id && (!next || id !== next.id)),
+                ...(next ? [next.id] : []),
+              ]);
             }}
             isLast={i === sequences.length - 1}
+            sequences={sequences}
+            onAdd={addSequence}
+            restoreCount={restoreCount}
           />
         );
       })}
 
       {/* Add a button to add a new sequencer */}
+      <button onClick={() => addSequence(createSequence())}>
+        add sequencer
+      </button>
       <button
-        onClick={() => {
-          const newSequences = sequences.slice(0);
-          newSequences.push({values: range(16).map(() => 0), duration: 200});
-          localStorage.sequences = JSON.stringify(newSequences);
-          setSequences(newSequences);
-        }}
+        onClick={() => downloadFile("sequences.funscript", JSON.stringify(toFunscript(sequences)))}
       >
-        add sequencer
+        export all
       </button>
+      <FunscriptImport onImport={addSequence} />
+      <MidiImport onImport={(imported) => commitSequences([...sequencesRef.current, ...imported])} />
+
+      <PresetLibrary sequences={sequences} onLoad={addSequence} />
+      <LLMCachePanel />
+      <EvolutionPanel sequences={sequences} onAdd={addSequence} device={device} devices={devices} mixer={mixer} />
+
+      <ArrangementView
+        arrangement={arrangement}
+        setArrangement={setArrangement}
+        sequences={sequences}
+        device={device}
+        devices={devices}
+        mixer={mixer}
+      />
     </sp-theme>
   );
 }
 
 // Render the App component into the root div
 ReactDOM.render(<App />, document.getElementById("root"));
-
-
@@ -0,0 +1,68 @@
+// Interpolation between the steps of a sequence. A step starts at its own
+// level and, in any mode but 'hold', moves towards the next step's level
+// (wrapping around to the first step) over the course of the step.
+
+export const INTERPOLATION_MODES = [
+  { id: 'hold', label: 'Hold' },
+  { id: 'linear', label: 'Linear' },
+  { id: 'ease-in-out', label: 'Ease in/out' },
+  { id: 'cubic', label: 'Cubic spline' },
+];
+
+export const DEFAULT_UPDATE_RATE = 20;
+
+/**
+ * Computes the level part way through a step.
+ * @param {number[]} values - The sequence's levels, from 0 to 1.
+ * @param {number} index - The step index.
+ * @param {number} t - Progress through the step, from 0 to 1.
+ * @param {string} [mode='hold'] - One of the INTERPOLATION_MODES ids.
+ * @returns {number} - The interpolated level, from 0 to 1.
+ */
+export function interpolate(values, index, t, mode = 'hold') {
+  const length = values.length;
+  const at = (i) => values[((i % length) + length) % length];
+  const from = at(index);
+  const to = at(index + 1);
+  switch (mode) {
+  case 'linear':
+    return from + (to - from) * t;
+  case 'ease-in-out':
+    return from + (to - from) * (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t));
+  case 'cubic':
+    return Math.max(0, Math.min(1, catmullRom(at(index - 1), from, to, at(index + 2), t)));
+  default:
+    return from;
+  }
+}
+
+/**
+ * Samples the interpolated curve across one grid column, for drawing. The
+ * column's center is where its step starts, so the left half of the column
+ * shows the end of the previous step.
+ * @param {number[]} values - The sequence's levels, from 0 to 1.
+ * @param {number} column - The column index.
+ * @param {string} mode - One of the INTERPOLATION_MODES ids.
+ * @param {number} [samples=8] - The number of points to sample.
+ * @returns {{x: number, level: number}[]} - Points with x from 0 to 1 across the column.
+ */
+export function sampleColumn(values, column, mode, samples = 8) {
+  return Array.from({ length: samples + 1 }, (_, i) => {
+    const x = i / samples;
+    const position = column + x - 0.5;
+    const index = Math.floor(position);
+    return { x, level: interpolate(values, index, position - index, mode) };
+  });
+}
+
+// Catmull-Rom spline through p1..p2, shaped by the neighbouring points
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    2 * p1 +
+    (p2 - p0) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (3 * p1 - p0 - 3 * p2 + p3) * t3
+  );
+}
@@ -0,0 +1,147 @@
+// Servers the LLM generator can talk to. A backend is created for an endpoint
+// and has `complete(request)`, resolving to the model's raw reply, and
+// `listModels()`, resolving to the names of the models it serves. A request
+// is `{ model, prompt, options, schema }`, where `schema` is the JSON schema
+// the reply must follow. Every call takes a `timeout` in ms and an optional
+// AbortSignal, and rejects with an AbortError when cancelled.
+
+export const BACKENDS = [
+  { value: "ollama", label: "Ollama" },
+  { value: "openai", label: "OpenAI-compatible" },
+];
+
+export const DEFAULT_BACKEND = "ollama";
+export const DEFAULT_TIMEOUT = 60000;
+
+export const DEFAULT_ENDPOINTS = {
+  ollama: "http://localhost:11434/api/generate",
+  openai: "http://localhost:8080/v1/chat/completions",
+};
+
+/**
+ * Names the secret a backend's API key is stored under.
+ * @param {string} [type] - One of the BACKENDS values.
+ * @returns {string} - The secret's name.
+ */
+export function apiKeyName(type = DEFAULT_BACKEND) {
+  return `llm.apiKey.${type}`;
+}
+
+/**
+ * Creates a backend.
+ * @param {string} type - One of the BACKENDS values; unknown types use Ollama.
+ * @param {Object} [settings]
+ * @param {string} [settings.endpoint] - The completion URL, or empty for the
+ *   backend's default.
+ * @param {string} [settings.apiKey] - Sent as a bearer token when set.
+ * @returns {{complete: Function, listModels: Function}} - The backend.
+ */
+export function createBackend(type, { endpoint = "", apiKey = "" } = {}) {
+  const kind = DEFAULT_ENDPOINTS[type] ? type : DEFAULT_BACKEND;
+  const url = endpoint || DEFAULT_ENDPOINTS[kind];
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return kind === "openai" ? openAIBackend(url, headers) : ollamaBackend(url, headers);
+}
+
+// Ollama's /api/generate, which takes the schema as `format`
+function ollamaBackend(url, headers) {
+  return {
+    async complete({ model, prompt, options = {}, schema }, { timeout, signal } = {}) {
+      const data = await request(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, prompt, stream: false, format: schema, options }),
+      }, { timeout, signal });
+      return data.response || "";
+    },
+    async listModels({ timeout, signal } = {}) {
+      const data = await request(new URL("/api/tags", url).toString(), { headers }, { timeout, signal });
+      return (data.models || []).map((model) => model.name);
+    },
+  };
+}
+
+// The /v1/chat/completions API shared by llama.cpp, LM Studio, vLLM and
+// others. Servers that don't support `response_format` ignore it, and the
+// prompt asks for JSON anyway.
+function openAIBackend(url, headers) {
+  return {
+    async complete({ model, prompt, options = {}, schema }, { timeout, signal } = {}) {
+      const { seed, temperature } = options;
+      const data = await request(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          response_format: { type: "json_schema", json_schema: { name: "keyframes", schema } },
+          seed,
+          temperature,
+          stream: false,
+        }),
+      }, { timeout, signal });
+      const choice = data.choices && data.choices[0];
+      return (choice && choice.message && choice.message.content) || "";
+    },
+    async listModels({ timeout, signal } = {}) {
+      const data = await request(new URL("models", url.replace(/chat\/completions\/?$/, "")).toString(), { headers }, {
+        timeout,
+        signal,
+      });
+      return (data.data || []).map((model) => model.id);
+    },
+  };
+}
+
+/**
+ * Fetches JSON, giving up after `timeout` ms or when `signal` aborts.
+ * @param {string} url - The URL.
+ * @param {Object} init - The fetch options.
+ * @param {Object} [limits]
+ * @param {number} [limits.timeout=DEFAULT_TIMEOUT] - The time limit in ms; 0,
+ *   or anything else that isn't a positive number, sets no limit.
+ * @param {AbortSignal} [limits.signal] - Cancels the request.
+ * @returns {Promise<Object>} - The parsed reply.
+ * @throws {Error} - If the server can't be reached, times out or answers
+ *   with an error; a cancelled request throws an AbortError.
+ */
+export async function request(url, init, { timeout = DEFAULT_TIMEOUT, signal } = {}) {
+  if (signal && signal.aborted) throw abortError();
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout) : null;
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel);
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    if (!res.ok) throw new Error(`${url} answered ${res.status} ${res.statusText}`.trim());
+    return await res.json();
+  } catch (error) {
+    if (timedOut) throw new Error(`No answer from ${url} within ${Math.round(timeout / 1000)} s`);
+    if (error.name === "AbortError") throw abortError();
+    if (error instanceof TypeError) throw new Error(`Could not reach ${url}`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", cancel);
+  }
+}
+
+/**
+ * Tells whether an error comes from a cancelled request.
+ * @param {Error} error - The error.
+ * @returns {boolean} - True if the request was aborted.
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === "AbortError";
+}
+
+function abortError() {
+  const error = new Error("The request was cancelled");
+  error.name = "AbortError";
+  return error;
+}
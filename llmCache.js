@@ -0,0 +1,105 @@
+import { get, getAll, put, remove } from "./idb.js";
+
+// Cache of LLM responses in IndexedDB, so a pattern can be rendered again,
+// at any grid size, without asking the model. An entry is
+// `{ key, model, prompt, options, seed, response, created, used, pinned }`,
+// where `response` is the model's raw reply. Pinned entries are kept when the
+// cache is cleared or pruned.
+
+const STORE = "llm-cache";
+const MAX_ENTRIES = 200;
+
+/**
+ * Builds the key a request is cached under.
+ * @param {Object} request
+ * @param {string} request.model - The model name.
+ * @param {string} request.prompt - The prompt.
+ * @param {Object} [request.options] - The model options.
+ * @param {number} [request.seed] - The seed.
+ * @returns {string} - The key.
+ */
+export function cacheKey({ model, prompt, options = {}, seed = null }) {
+  const sorted = Object.keys(options).sort().map((key) => [key, options[key]]);
+  return JSON.stringify([model, prompt, sorted, seed]);
+}
+
+/**
+ * Looks up a cached response, marking it as used.
+ * @param {Object} request - The request, as for `cacheKey`.
+ * @returns {Promise<?string>} - The cached response, or null.
+ */
+export async function getCachedResponse(request) {
+  const entry = await get(STORE, cacheKey(request));
+  if (!entry) return null;
+  await put(STORE, { ...entry, used: Date.now() });
+  return entry.response;
+}
+
+/**
+ * Caches a response, pruning the least recently used unpinned entries
+ * beyond the cache's size.
+ * @param {Object} request - The request, as for `cacheKey`.
+ * @param {string} response - The model's reply.
+ * @returns {Promise<void>}
+ */
+export async function cacheResponse(request, response) {
+  const { model, prompt, options = {}, seed = null } = request;
+  const now = Date.now();
+  await put(STORE, {
+    key: cacheKey(request),
+    model,
+    prompt,
+    options,
+    seed,
+    response,
+    created: now,
+    used: now,
+    pinned: false,
+  });
+  const unpinned = (await getAll(STORE))
+    .filter((entry) => !entry.pinned)
+    .sort((a, b) => b.used - a.used);
+  await Promise.all(unpinned.slice(MAX_ENTRIES).map((entry) => remove(STORE, entry.key)));
+}
+
+/**
+ * Lists the cached responses, most recently used first.
+ * @returns {Promise<Object[]>} - The entries.
+ */
+export async function listCachedResponses() {
+  const entries = await getAll(STORE);
+  return entries.sort((a, b) => b.used - a.used);
+}
+
+/**
+ * Pins or unpins a cached response.
+ * @param {string} key - The entry's key.
+ * @param {boolean} pinned - Whether to keep it when clearing.
+ * @returns {Promise<void>}
+ */
+export async function pinCachedResponse(key, pinned) {
+  const entry = await get(STORE, key);
+  if (entry) await put(STORE, { ...entry, pinned });
+}
+
+/**
+ * Deletes a cached response.
+ * @param {string} key - The entry's key.
+ * @returns {Promise<void>}
+ */
+export function deleteCachedResponse(key) {
+  return remove(STORE, key);
+}
+
+/**
+ * Empties the cache.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepPinned=true] - Leave pinned entries in place.
+ * @returns {Promise<void>}
+ */
+export async function clearCache({ keepPinned = true } = {}) {
+  const entries = await getAll(STORE);
+  await Promise.all(
+    entries.filter((entry) => !keepPinned || !entry.pinned).map((entry) => remove(STORE, entry.key))
+  );
+}
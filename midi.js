@@ -0,0 +1,254 @@
+import { MIN_COLUMNS, MAX_COLUMNS, createSequence, quantizeLevels } from "./sequences.js";
+import { bpmToDuration } from "./timing.js";
+
+// Import of Standard MIDI Files. A file is parsed into its tracks' notes,
+// `{ channel, note, velocity, start, end }` with times in ticks, and its tempo
+// map. A part, the notes of one channel of one track, then becomes a
+// sequence with one step per grid division, where each note holds its level
+// for as long as it sounds. Parts longer than a sequence can be are split into
+// several sequences, played one after the other.
+
+// Step lengths offered for the grid, in steps per quarter note
+export const MIDI_GRIDS = [
+  { value: 1, label: "1/4" },
+  { value: 2, label: "1/8" },
+  { value: 3, label: "1/8 triplet" },
+  { value: 4, label: "1/16" },
+  { value: 6, label: "1/16 triplet" },
+  { value: 8, label: "1/32" },
+];
+
+// What a note's level is taken from
+export const MIDI_MAPPINGS = [
+  { value: "velocity", label: "velocity" },
+  { value: "pitch", label: "pitch" },
+];
+
+// Most steps made from one part, over all its sequences
+export const MAX_MIDI_STEPS = 512;
+
+const DEFAULT_TEMPO = 500000; // µs per quarter note, 120 BPM
+
+/**
+ * Parses a Standard MIDI File.
+ * @param {ArrayBuffer} data - The file's contents.
+ * @returns {{division: number, tempos: {tick: number, tempo: number}[],
+ *   tracks: {name: string, notes: Object[]}[]}} - The ticks per quarter
+ *   note, the tempo changes in µs per quarter note and the tracks.
+ * @throws {Error} - If the file isn't a MIDI file or uses SMPTE timing.
+ */
+export function parseMidi(data) {
+  const reader = createReader(new DataView(data));
+  if (reader.text(4) !== "MThd") throw new Error("Not a MIDI file");
+  const headerLength = reader.uint32();
+  reader.uint16(); // format
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.skip(headerLength - 6);
+  if (division & 0x8000) throw new Error("MIDI files with SMPTE timing are not supported");
+
+  const tempos = [];
+  const tracks = [];
+  for (let t = 0; t < trackCount && reader.remaining() >= 8; t++) {
+    const type = reader.text(4);
+    const length = reader.uint32();
+    if (type !== "MTrk") {
+      reader.skip(length);
+      continue;
+    }
+    tracks.push(parseTrack(reader, reader.offset + length, tempos));
+  }
+  tempos.sort((a, b) => a.tick - b.tick);
+  return { division, tempos, tracks };
+}
+
+/**
+ * Lists the parts of a parsed file that hold notes.
+ * @param {Object} midi - The parsed file.
+ * @returns {{track: number, channel: number, label: string, notes: number}[]} - The parts.
+ */
+export function listMidiParts(midi) {
+  const parts = [];
+  midi.tracks.forEach(({ name, notes }, track) => {
+    const channels = Array.from(new Set(notes.map(({ channel }) => channel))).sort((a, b) => a - b);
+    channels.forEach((channel) => {
+      const count = notes.filter((note) => note.channel === channel).length;
+      const trackLabel = name || `track ${track + 1}`;
+      parts.push({ track, channel, label: `${trackLabel}, channel ${channel + 1}`, notes: count });
+    });
+  });
+  return parts;
+}
+
+/**
+ * Converts one part of a parsed file to sequences. They start at the
+ * beginning of the file and run to the end of the beat the last note ends in,
+ * MAX_COLUMNS steps each; the last is padded with silence to MIN_COLUMNS. A
+ * step sounding several notes takes the highest level.
+ * @param {Object} midi - The parsed file.
+ * @param {Object} options
+ * @param {number} options.track - The track index.
+ * @param {number} options.channel - The channel, from 0 to 15.
+ * @param {number} [options.stepsPerBeat=4] - The grid, one of MIDI_GRIDS.
+ * @param {string} [options.mapping="velocity"] - One of MIDI_MAPPINGS. Pitch
+ *   spreads the part's lowest to highest notes over the rows above zero.
+ * @param {number} options.rows - The row resolution of the new sequence.
+ * @returns {Object[]} - The new sequences, in playing order.
+ * @throws {Error} - If the part has no notes.
+ */
+export function midiToSequences(midi, { track, channel, stepsPerBeat = 4, mapping = "velocity", rows }) {
+  const notes = midi.tracks[track] ? midi.tracks[track].notes.filter((note) => note.channel === channel) : [];
+  if (!notes.length) throw new Error("The part has no notes");
+
+  const stepTicks = midi.division / stepsPerBeat;
+  const lastTick = Math.max(...notes.map(({ end }) => end));
+  const beats = Math.max(1, Math.ceil(lastTick / midi.division));
+  const columns = Math.min(MAX_MIDI_STEPS, beats * stepsPerBeat);
+
+  const pitches = notes.map(({ note }) => note);
+  const lowest = Math.min(...pitches);
+  const range = Math.max(...pitches) - lowest;
+  const row = 1 / (rows - 1);
+  const levelOf = ({ note, velocity }) => (mapping === "pitch"
+    ? row + (range ? (note - lowest) / range : 1) * (1 - row)
+    : velocity / 127);
+
+  const values = Array(columns).fill(0);
+  notes.forEach((note) => {
+    const first = Math.round(note.start / stepTicks);
+    // A note shorter than a step still sounds on the step it starts on
+    const last = Math.max(first + 1, Math.round(note.end / stepTicks));
+    for (let i = first; i < Math.min(last, columns); i++) values[i] = Math.max(values[i], levelOf(note));
+  });
+
+  const sequences = [];
+  for (let first = 0; first < columns; first += MAX_COLUMNS) {
+    const steps = values.slice(first, first + MAX_COLUMNS);
+    while (steps.length < MIN_COLUMNS) steps.push(0);
+    const bpm = 60000000 / tempoAt(midi.tempos, first * stepTicks);
+    const sequence = createSequence(steps.length);
+    sequence.mode = "manual";
+    sequence.rows = rows;
+    sequence.values = quantizeLevels(steps, rows);
+    sequence.bpm = Math.round(bpm * 100) / 100;
+    sequence.stepsPerBeat = stepsPerBeat;
+    sequence.duration = bpmToDuration(bpm, stepsPerBeat);
+    // Tempo changes give the steps after them their own lengths
+    const lengths = steps.map((_, i) => tempoAt(midi.tempos, (first + i) * stepTicks) / 1000 / stepsPerBeat);
+    if (lengths.some((length) => length !== lengths[0])) sequence.stepDurations = lengths;
+    sequences.push(sequence);
+  }
+  return sequences;
+}
+
+// Reads one track's events up to `end`, pairing note-ons with their note-offs
+function parseTrack(reader, end, tempos) {
+  const notes = [];
+  const sounding = new Map();
+  let name = "";
+  let tick = 0;
+  let status = 0;
+  while (reader.offset < end) {
+    tick += reader.varint();
+    let byte = reader.uint8();
+    if (byte === 0xff) {
+      const type = reader.uint8();
+      const length = reader.varint();
+      // Meta and sysex events cancel running status
+      status = 0;
+      if (type === 0x03 && !name) name = reader.text(length).trim();
+      else if (type === 0x51 && length === 3) {
+        const tempo = (reader.uint8() << 16) | reader.uint16();
+        // A zero tempo would make every step infinitely short
+        if (tempo > 0) tempos.push({ tick, tempo });
+      } else reader.skip(length);
+      continue;
+    }
+    if (byte === 0xf0 || byte === 0xf7) {
+      status = 0;
+      reader.skip(reader.varint());
+      continue;
+    }
+    // Running status: the data byte reuses the previous status
+    if (byte < 0x80) {
+      if (!status) throw new Error("Corrupt MIDI track");
+      reader.offset--;
+      byte = status;
+    } else {
+      status = byte;
+    }
+    const type = byte & 0xf0;
+    const channel = byte & 0x0f;
+    const first = reader.uint8();
+    const second = type === 0xc0 || type === 0xd0 ? 0 : reader.uint8();
+    const key = channel * 128 + first;
+    if (type === 0x90 && second > 0) {
+      if (sounding.has(key)) notes.push({ ...sounding.get(key), end: tick });
+      sounding.set(key, { channel, note: first, velocity: second, start: tick });
+    } else if ((type === 0x80 || type === 0x90) && sounding.has(key)) {
+      notes.push({ ...sounding.get(key), end: tick });
+      sounding.delete(key);
+    }
+  }
+  reader.offset = end;
+  // Notes never released last until the end of the track
+  sounding.forEach((note) => notes.push({ ...note, end: tick }));
+  return { name, notes: notes.sort((a, b) => a.start - b.start) };
+}
+
+// Tempo in effect at a tick, in µs per quarter note
+function tempoAt(tempos, tick) {
+  let tempo = DEFAULT_TEMPO;
+  tempos.forEach((change) => {
+    if (change.tick <= tick) tempo = change.tempo;
+  });
+  return tempo;
+}
+
+// Big-endian reader over the file's bytes
+function createReader(view) {
+  const reader = {
+    offset: 0,
+    remaining: () => view.byteLength - reader.offset,
+    check: (length) => {
+      if (reader.offset + length > view.byteLength) throw new Error("The MIDI file is truncated");
+    },
+    uint8: () => {
+      reader.check(1);
+      return view.getUint8(reader.offset++);
+    },
+    uint16: () => {
+      reader.check(2);
+      const value = view.getUint16(reader.offset);
+      reader.offset += 2;
+      return value;
+    },
+    uint32: () => {
+      reader.check(4);
+      const value = view.getUint32(reader.offset);
+      reader.offset += 4;
+      return value;
+    },
+    varint: () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = reader.uint8();
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    },
+    text: (length) => {
+      reader.check(length);
+      let text = "";
+      for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(reader.offset + i));
+      reader.offset += length;
+      return text;
+    },
+    skip: (length) => {
+      reader.check(length);
+      reader.offset += length;
+    },
+  };
+  return reader;
+}
@@ -0,0 +1,136 @@
+import { get, getAll, put, remove } from "./idb.js";
+import { createId } from "./sequences.js";
+import { SCHEMA_VERSION, migrate, validateSequence } from "./storage.js";
+
+// Named sequence presets, kept in IndexedDB. A preset is
+// `{ id, name, tags, sequence, version, created, updated }`, where `version`
+// is the schema version its sequence was saved with, so presets saved by
+// older versions are migrated as they are read.
+
+const STORE = "presets";
+
+/**
+ * Lists the saved presets, sorted by name. Presets whose sequence can't be
+ * read are left out.
+ * @returns {Promise<Object[]>} - The presets.
+ */
+export async function listPresets() {
+  const stored = await getAll(STORE);
+  const presets = stored.map(readPreset);
+  // Presets from older versions are stored again as migrated, so what the
+  // migrations take out of a sequence, such as API keys, leaves the database
+  presets.forEach((preset, i) => {
+    if (!preset || stored[i].version === SCHEMA_VERSION) return;
+    put(STORE, preset).catch((error) => console.error(`Failed to update preset "${preset.name}":`, error));
+  });
+  return presets
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves a sequence as a new preset.
+ * @param {string} name - The preset name.
+ * @param {Object} sequence - The sequence.
+ * @param {string[]} [tags=[]] - Tags for finding the preset.
+ * @returns {Promise<Object>} - The new preset.
+ */
+export async function savePreset(name, sequence, tags = []) {
+  const now = Date.now();
+  const preset = {
+    id: createId(),
+    name: name.trim() || "untitled",
+    tags: cleanTags(tags),
+    sequence,
+    version: SCHEMA_VERSION,
+    created: now,
+    updated: now,
+  };
+  await put(STORE, preset);
+  return preset;
+}
+
+/**
+ * Renames a preset.
+ * @param {string} id - The preset id.
+ * @param {string} name - The new name.
+ * @returns {Promise<Object>} - The updated preset.
+ */
+export function renamePreset(id, name) {
+  return updatePreset(id, { name: name.trim() || "untitled" });
+}
+
+/**
+ * Replaces the tags of a preset.
+ * @param {string} id - The preset id.
+ * @param {string[]} tags - The new tags.
+ * @returns {Promise<Object>} - The updated preset.
+ */
+export function tagPreset(id, tags) {
+  return updatePreset(id, { tags: cleanTags(tags) });
+}
+
+/**
+ * Copies a preset under a new name.
+ * @param {string} id - The preset id.
+ * @returns {Promise<Object>} - The copy.
+ */
+export async function duplicatePreset(id) {
+  const preset = await findPreset(id);
+  return savePreset(`${preset.name} copy`, preset.sequence, preset.tags);
+}
+
+/**
+ * Deletes a preset.
+ * @param {string} id - The preset id.
+ * @returns {Promise<void>}
+ */
+export function deletePreset(id) {
+  return remove(STORE, id);
+}
+
+/**
+ * Splits comma-separated tags as typed by the user.
+ * @param {string} text - The tags, e.g. "slow, teasing".
+ * @returns {string[]} - The tags.
+ */
+export function parseTags(text) {
+  return cleanTags(text.split(","));
+}
+
+async function updatePreset(id, changes) {
+  const preset = await findPreset(id);
+  const updated = { ...preset, ...changes, updated: Date.now() };
+  await put(STORE, updated);
+  return updated;
+}
+
+async function findPreset(id) {
+  const preset = readPreset(await get(STORE, id));
+  if (!preset) throw new Error("The preset no longer exists");
+  return preset;
+}
+
+// Brings a stored preset's sequence up to date, or returns null if it's unreadable
+function readPreset(preset) {
+  if (!preset || typeof preset.name !== "string") return null;
+  try {
+    const { sequences } = migrate({ sequences: [preset.sequence], arrangement: null }, preset.version || 0);
+    const sequence = validateSequence(sequences[0]);
+    if (!sequence) return null;
+    return {
+      ...preset,
+      tags: Array.isArray(preset.tags) ? preset.tags : [],
+      sequence,
+      version: SCHEMA_VERSION,
+    };
+  } catch (error) {
+    console.error(`Failed to read preset "${preset.name}":`, error);
+    return null;
+  }
+}
+
+function cleanTags(tags) {
+  const cleaned = tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean);
+  return Array.from(new Set(cleaned));
+}
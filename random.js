@@ -0,0 +1,26 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The returned function is a drop-in replacement for Math.random: every call
+ * yields a float in [0, 1), and two generators created with the same seed
+ * produce exactly the same sequence of numbers.
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {() => number} - The random number generator.
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a fresh seed for a new sequence or a "reroll".
+ * @returns {number} - A random 32-bit unsigned integer.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,35 @@
+import { fromFunscript } from "./funscript.js";
+
+// Recording of a pattern performed by hand. Samples are `{ time, p }`, with
+// `time` in ms and `p` the position or level from 0 to 1; a recording is
+// turned into steps the same way an imported funscript is.
+
+/**
+ * Replaces a sequence's values with a recording, on the sequence's own grid.
+ * The sequence becomes a manual one so the recording isn't regenerated away.
+ * @param {Object} sequence - The sequence recorded into.
+ * @param {{time: number, p: number}[]} samples - The recorded samples.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepTiming=false] - Keep the performed timing as
+ *   per-step durations instead of spreading the recording evenly.
+ * @returns {Object} - The updated sequence.
+ * @throws {Error} - If too little was recorded.
+ */
+export function applyRecording(sequence, samples, { keepTiming = false } = {}) {
+  if (samples.length < 2) throw new Error("Nothing was recorded");
+  const start = samples[0].time;
+  const script = { actions: samples.map(({ time, p }) => ({ at: time - start, pos: p * 100 })) };
+  const recorded = fromFunscript(script, {
+    columns: sequence.values.length,
+    rows: sequence.rows,
+    keepTiming,
+  });
+  return {
+    ...sequence,
+    mode: "manual",
+    values: recorded.values,
+    duration: recorded.duration,
+    stepDurations: recorded.stepDurations || null,
+    bpm: null,
+  };
+}
@@ -0,0 +1,50 @@
+import { messageType } from "./buttplugMessages.js";
+
+// Routing of a sequence's output to devices and actuators. A sequence's
+// `routes` list entries of the form `{ device, actuators }`, where `device`
+// is the device name (Intiface's numeric Index changes between sessions)
+// and `actuators` lists motor/axis indices, with an empty list meaning all.
+// A sequence without routes plays on the app's selected device.
+
+/**
+ * Works out how a device is driven.
+ * @param {Object} device - A Buttplug client device.
+ * @returns {?string} - 'linear', 'vibrate', or null if neither is supported.
+ */
+export function deviceKind(device) {
+  const allowedMessages = device.AllowedMessages;
+  if (allowedMessages.includes(messageType("LinearCmd"))) return "linear";
+  if (allowedMessages.includes(messageType("VibrateCmd"))) return "vibrate";
+  return null;
+}
+
+/**
+ * Counts the actuators (vibration motors or linear axes) of a device.
+ * @param {Object} device - A Buttplug client device.
+ * @returns {number} - The number of actuators.
+ */
+export function actuatorCount(device) {
+  const kind = deviceKind(device);
+  if (!kind) return 0;
+  const attributes = device.messageAttributes(messageType(kind === "linear" ? "LinearCmd" : "VibrateCmd"));
+  return (attributes && attributes.featureCount) || 1;
+}
+
+/**
+ * Matches a sequence's routes against the connected devices.
+ * @param {Object[]} [routes] - The sequence's routes.
+ * @param {Object[]} devices - The connected devices.
+ * @param {Object} [fallback] - The device used when there are no routes.
+ * @returns {{device: Object, actuators: number[]}[]} - The connected targets.
+ */
+export function resolveRoutes(routes, devices, fallback) {
+  if (!routes || !routes.length) {
+    return fallback && deviceKind(fallback) ? [{ device: fallback, actuators: [] }] : [];
+  }
+  return routes
+    .map(({ device: name, actuators = [] }) => {
+      const device = devices.find((device) => device.Name === name);
+      return device && deviceKind(device) ? { device, actuators } : null;
+    })
+    .filter(Boolean);
+}
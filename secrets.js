@@ -0,0 +1,41 @@
+// Secrets, such as API keys, kept in localStorage on this device apart from
+// the sequences, so they never end up in presets, the undo history or
+// exported files. Each is stored under a name chosen by its user.
+
+const KEY = "secrets";
+
+/**
+ * Reads a secret.
+ * @param {string} name - The secret's name.
+ * @returns {string} - Its value, empty if none is stored.
+ */
+export function loadSecret(name) {
+  const secrets = readSecrets();
+  return typeof secrets[name] === "string" ? secrets[name] : "";
+}
+
+/**
+ * Stores a secret, or forgets it when the value is empty.
+ * @param {string} name - The secret's name.
+ * @param {string} value - Its value.
+ */
+export function saveSecret(name, value) {
+  const secrets = readSecrets();
+  if (value) secrets[name] = value;
+  else delete secrets[name];
+  try {
+    localStorage[KEY] = JSON.stringify(secrets);
+  } catch (error) {
+    console.error("Failed to save a secret:", error);
+  }
+}
+
+function readSecrets() {
+  try {
+    const secrets = JSON.parse(localStorage[KEY] || "{}");
+    return secrets && typeof secrets === "object" && !Array.isArray(secrets) ? secrets : {};
+  } catch (error) {
+    console.error("Failed to read the saved secrets:", error);
+    return {};
+  }
+}
@@ -0,0 +1,96 @@
+import { randomSeed } from "./random.js";
+
+// Number of rows a sequence gets by default, and the only resolution
+// sequences had before values were stored normalized
+export const DEFAULT_ROWS = 5;
+export const MIN_ROWS = 2;
+export const MAX_ROWS = 100;
+
+// Range of step counts a sequence can have
+export const MIN_COLUMNS = 8;
+export const MAX_COLUMNS = 64;
+
+/**
+ * Creates a new, empty sequence.
+ * @param {number} [columns=16] - The number of steps in the sequence.
+ * @returns {Object} - The sequence.
+ */
+export function createSequence(columns = 16) {
+  return {
+    id: createId(),
+    values: Array(columns).fill(0),
+    rows: DEFAULT_ROWS,
+    duration: 200,
+    seed: randomSeed(),
+  };
+}
+
+/**
+ * Brings a sequence loaded from storage up to date. Sequences saved before
+ * rows were configurable hold row indices on a 5-row grid; those are
+ * converted to normalized 0..1 levels.
+ * @param {Object} sequence - The stored sequence.
+ * @returns {Object} - The up to date sequence.
+ */
+export function normalizeSequence(sequence) {
+  const normalized = { id: createId(), seed: randomSeed(), ...sequence };
+  if (normalized.rows === undefined) {
+    normalized.rows = DEFAULT_ROWS;
+    normalized.values = toLevels(normalized.values || [], DEFAULT_ROWS);
+  }
+  return normalized;
+}
+
+/**
+ * Creates an id that identifies a sequence for as long as it exists, used
+ * for React keys and by anything that refers to a sequence.
+ * @returns {string} - The id.
+ */
+export function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Converts row indices, as produced by the pattern generators, to levels.
+ * @param {number[]} pattern - Row indices from 0 to rows-1.
+ * @param {number} rows - The number of rows the indices refer to.
+ * @returns {number[]} - Levels from 0 to 1.
+ */
+export function toLevels(pattern, rows) {
+  return pattern.map((row) => clampLevel(row / (rows - 1)));
+}
+
+/**
+ * Finds the grid row a level falls into.
+ * @param {number} level - A level from 0 to 1.
+ * @param {number} rows - The number of rows in the grid.
+ * @returns {number} - The row index from 0 to rows-1.
+ */
+export function levelToRow(level, rows) {
+  return Math.round(clampLevel(level) * (rows - 1));
+}
+
+/**
+ * Snaps levels onto the nearest row of a grid.
+ * @param {number[]} values - Levels from 0 to 1.
+ * @param {number} rows - The number of rows in the grid.
+ * @returns {number[]} - The snapped levels.
+ */
+export function quantizeLevels(values, rows) {
+  return values.map((level) => levelToRow(level, rows) / (rows - 1));
+}
+
+/**
+ * The levels a sequence plays: its stored levels snapped onto its rows.
+ * Changing the row count leaves the stored levels alone, so going back to
+ * the earlier count gives the same pattern.
+ * @param {Object} sequence - The sequence.
+ * @returns {number[]} - The played levels, from 0 to 1.
+ */
+export function playedLevels(sequence) {
+  return quantizeLevels(sequence.values, sequence.rows || DEFAULT_ROWS);
+}
+
+function clampLevel(level) {
+  return Math.max(0, Math.min(1, Number(level) || 0));
+}
@@ -0,0 +1,285 @@
+import { DEFAULT_ROWS, MIN_ROWS, MAX_ROWS, createSequence, createId, normalizeSequence } from "./sequences.js";
+import { randomSeed } from "./random.js";
+import { LOOP_MODES, createArrangement } from "./arrangement.js";
+import { INTERPOLATION_MODES } from "./interpolation.js";
+import { DEFAULT_EVOLUTION, MAX_RATING } from "./evolution.js";
+import { apiKeyName } from "./llmBackends.js";
+import { loadSecret, saveSecret } from "./secrets.js";
+
+// Versioned persistence of the app's sequences, arrangement and evolution
+// population in localStorage. Saved data is brought up to date by the
+// migrations below and validated as it's loaded; anything that can't be read
+// is set aside under a `.corrupt` key and replaced with a working default
+// instead of breaking startup.
+
+// Version of the saved data. Bump it and add a migration from the previous
+// version whenever the shape of a sequence or arrangement changes.
+export const SCHEMA_VERSION = 2;
+
+// Migrations from each version to the next, applied to `{ sequences, arrangement }`
+const migrations = {
+  // Before versioning: sequences may hold row indices on a 5-row grid, and
+  // lack ids and seeds. Broken entries are left for validation to drop.
+  0: (data) => ({
+    ...data,
+    sequences: data.sequences.map((sequence) =>
+      isObject(sequence) && Array.isArray(sequence.values) ? normalizeSequence(sequence) : sequence
+    ),
+  }),
+  // LLM API keys were sequence parameters. They move to the device's
+  // secrets, unless a key is already stored for the backend.
+  1: (data) => ({
+    ...data,
+    sequences: data.sequences.map((sequence) => {
+      if (!isObject(sequence) || !isObject(sequence.params) || !("apiKey" in sequence.params)) return sequence;
+      const { apiKey, ...params } = sequence.params;
+      const name = apiKeyName(params.backend || undefined);
+      if (typeof apiKey === "string" && apiKey && !loadSecret(name)) saveSecret(name, apiKey);
+      return { ...sequence, params };
+    }),
+  }),
+};
+
+/**
+ * Brings saved data up to the current schema version.
+ * @param {{sequences: Object[], arrangement: Object}} data - The saved data.
+ * @param {number} version - The version it was saved with.
+ * @returns {{sequences: Object[], arrangement: Object}} - The migrated data.
+ */
+export function migrate(data, version) {
+  if (version > SCHEMA_VERSION) {
+    console.warn(`Saved data is from a newer version (${version}), loading it as is`);
+  }
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    data = migrations[v](data);
+  }
+  return data;
+}
+
+/**
+ * Checks a sequence loaded from storage, repairing what it can: fields of the
+ * wrong type are reset to their defaults and levels are clamped to 0..1.
+ * @param {*} sequence - The loaded sequence.
+ * @returns {?Object} - The valid sequence, or null if it can't be used.
+ */
+export function validateSequence(sequence) {
+  if (!isObject(sequence) || !Array.isArray(sequence.values) || !sequence.values.length) {
+    return null;
+  }
+  const valid = {
+    ...sequence,
+    id: typeof sequence.id === "string" && sequence.id ? sequence.id : createId(),
+    values: sequence.values.map((value) => Math.max(0, Math.min(1, Number(value) || 0))),
+    rows: Number.isInteger(sequence.rows)
+      ? Math.max(MIN_ROWS, Math.min(MAX_ROWS, sequence.rows))
+      : DEFAULT_ROWS,
+    duration: isPositive(sequence.duration) ? sequence.duration : 200,
+    seed: Number.isFinite(sequence.seed) ? sequence.seed >>> 0 : randomSeed(),
+  };
+
+  const optional = {
+    mode: typeof valid.mode === "string",
+    params: isObject(valid.params),
+    stepDurations: Array.isArray(valid.stepDurations),
+    swing: Number.isFinite(valid.swing),
+    tempoCurve: Number.isFinite(valid.tempoCurve),
+    bpm: isPositive(valid.bpm),
+    stepsPerBeat: isPositive(valid.stepsPerBeat),
+    interpolation: INTERPOLATION_MODES.some(({ id }) => id === valid.interpolation),
+    updateRate: isPositive(valid.updateRate),
+    routes: Array.isArray(valid.routes) && valid.routes.every(isRoute),
+    audioStart: Number.isFinite(valid.audioStart),
+  };
+  Object.keys(optional).forEach((key) => {
+    if (valid[key] !== undefined && !optional[key]) delete valid[key];
+  });
+  if (valid.stepDurations) {
+    valid.stepDurations = valid.stepDurations.map((duration) => (isPositive(duration) ? duration : null));
+  }
+  return valid;
+}
+
+/**
+ * Checks an arrangement loaded from storage, dropping broken entries.
+ * @param {*} arrangement - The loaded arrangement.
+ * @returns {Object} - A valid arrangement, empty if nothing could be used.
+ */
+export function validateArrangement(arrangement) {
+  if (!isObject(arrangement)) return createArrangement();
+  const entries = Array.isArray(arrangement.entries) ? arrangement.entries : [];
+  return {
+    ...arrangement,
+    loopMode: LOOP_MODES.some(({ id }) => id === arrangement.loopMode) ? arrangement.loopMode : "none",
+    entries: entries
+      .filter((entry) => isObject(entry) && typeof entry.sequenceId === "string")
+      .map((entry) => ({
+        ...entry,
+        id: typeof entry.id === "string" ? entry.id : createId(),
+        repeat: Number.isInteger(entry.repeat) && entry.repeat >= 1 ? entry.repeat : 1,
+        crossfade: Number.isFinite(entry.crossfade) && entry.crossfade >= 0 ? entry.crossfade : 0,
+      })),
+  };
+}
+
+/**
+ * Loads the saved sequences and arrangement, migrating and validating them,
+ * and saves them back in the current format.
+ * @returns {{sequences: Object[], arrangement: Object}} - The app's initial data.
+ */
+export function loadState() {
+  const version = Number(localStorage.schemaVersion) || 0;
+  let data = {
+    sequences: readKey("sequences", Array.isArray) || [],
+    arrangement: readKey("arrangement", isObject) || createArrangement(),
+  };
+  try {
+    data = migrate(data, version);
+  } catch (error) {
+    console.error(`Failed to migrate saved data from version ${version}:`, error);
+    setAside("sequences");
+    setAside("arrangement");
+    data = { sequences: [], arrangement: createArrangement() };
+  }
+
+  const sequences = uniqueIds(data.sequences.map(validateSequence).filter(Boolean));
+  if (sequences.length < data.sequences.length) {
+    console.warn(`Dropped ${data.sequences.length - sequences.length} unreadable saved sequence(s)`);
+  }
+
+  const state = {
+    sequences: sequences.length ? sequences : [createSequence()],
+    arrangement: validateArrangement(data.arrangement),
+  };
+  saveSequences(state.sequences);
+  saveArrangement(state.arrangement);
+  return state;
+}
+
+/**
+ * Brings a saved state, such as one from the undo history, up to date and
+ * checks it.
+ * @param {*} saved - The saved `{ sequences, arrangement }`.
+ * @param {number} version - The schema version it was saved with.
+ * @returns {?{sequences: Object[], arrangement: Object}} - The valid state,
+ *   or null if any of its sequences can't be used.
+ */
+export function validateSavedState(saved, version) {
+  if (!isObject(saved) || !Array.isArray(saved.sequences)) return null;
+  try {
+    const { sequences, arrangement } = migrate(saved, version);
+    const valid = sequences.map(validateSequence);
+    return valid.every(Boolean)
+      ? { sequences: uniqueIds(valid), arrangement: validateArrangement(arrangement) }
+      : null;
+  } catch (error) {
+    console.error(`Failed to migrate a saved state from version ${version}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Saves the sequences.
+ * @param {Object[]} sequences - The sequences.
+ */
+export function saveSequences(sequences) {
+  write("sequences", sequences);
+}
+
+/**
+ * Saves the arrangement.
+ * @param {Object} arrangement - The arrangement.
+ */
+export function saveArrangement(arrangement) {
+  write("arrangement", arrangement);
+}
+
+/**
+ * Loads the evolution population, dropping candidates that don't fit it.
+ * @returns {Object} - The population, empty if none was saved.
+ */
+export function loadEvolution() {
+  const saved = readKey("evolution", isObject);
+  if (!saved) return { ...DEFAULT_EVOLUTION };
+  const evolution = { ...DEFAULT_EVOLUTION };
+  ["generation", "columns", "duration", "size"].forEach((key) => {
+    if (Number.isInteger(saved[key]) && saved[key] > 0) evolution[key] = saved[key];
+  });
+  if (Number.isInteger(saved.rows)) evolution.rows = Math.max(MIN_ROWS, Math.min(MAX_ROWS, saved.rows));
+  if (Number.isFinite(saved.mutationRate)) evolution.mutationRate = Math.max(0, Math.min(1, saved.mutationRate));
+  const candidates = (Array.isArray(saved.candidates) ? saved.candidates : [])
+    .filter((candidate) => isObject(candidate) && Array.isArray(candidate.values) && candidate.values.length);
+  evolution.candidates = candidates
+    .filter(({ values }) => values.length === candidates[0].values.length)
+    .map((candidate) => ({
+      id: typeof candidate.id === "string" && candidate.id ? candidate.id : createId(),
+      values: candidate.values.map((value) => Math.max(0, Math.min(1, Number(value) || 0))),
+      rating: Number.isInteger(candidate.rating) ? Math.max(0, Math.min(MAX_RATING, candidate.rating)) : 0,
+      starred: candidate.starred === true,
+      origin: typeof candidate.origin === "string" ? candidate.origin : "",
+    }));
+  return evolution;
+}
+
+/**
+ * Saves the evolution population.
+ * @param {Object} evolution - The population.
+ */
+export function saveEvolution(evolution) {
+  write("evolution", evolution);
+}
+
+function write(key, value) {
+  try {
+    localStorage[key] = JSON.stringify(value);
+    localStorage.schemaVersion = SCHEMA_VERSION;
+  } catch (error) {
+    console.error(`Failed to save ${key}:`, error);
+  }
+}
+
+// Reads a saved JSON value, setting it aside if it doesn't parse or isn't
+// the expected shape
+function readKey(key, check) {
+  if (localStorage[key] === undefined) return null;
+  try {
+    const value = JSON.parse(localStorage[key]);
+    if (check(value)) return value;
+    console.error(`Saved ${key} has an unexpected shape`);
+  } catch (error) {
+    console.error(`Failed to read saved ${key}:`, error);
+  }
+  setAside(key);
+  return null;
+}
+
+// Keeps unreadable data around for recovery by hand
+function setAside(key) {
+  if (localStorage[key] === undefined) return;
+  try {
+    localStorage[`${key}.corrupt`] = localStorage[key];
+  } catch (error) {
+    console.error(`Failed to set aside ${key}:`, error);
+  }
+}
+
+// Ids must be unique, as sequences are looked up and keyed by them
+function uniqueIds(sequences) {
+  const ids = new Set();
+  return sequences.map((sequence) => {
+    const unique = ids.has(sequence.id) ? { ...sequence, id: createId() } : sequence;
+    ids.add(unique.id);
+    return unique;
+  });
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isPositive(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function isRoute(route) {
+  return isObject(route) && typeof route.device === "string" && Array.isArray(route.actuators);
+}
@@ -1,30 +1,328 @@
-// tcp-bridge.js – listen for Pico lines, drive device.linear()
+// tcp-bridge.js – listen for Pico lines, drive a linear device through Intiface
+//
+// Each TCP client sends newline-terminated JSON lines of the form {"p": 0.42},
+// a stroke position from 0 to 1. The bridge connects to Intiface as its own
+// buttplug client and forwards the latest position to the chosen device,
+// smoothed and speed limited. Several clients may be connected at once; the
+// most recent valid position from any of them wins.
+//
+// Every accepted position is also published on a local WebSocket as
+// {"p": 0.42, "t": <ms timestamp>}, which the app's record mode subscribes to.
+//
+//   node --experimental-detect-module tcp-bridge.js --device handy --port 8765
 import net from "net";
+import { parseArgs } from "util";
+import { WebSocketServer } from "ws";
+import { ButtplugClient, ButtplugNodeWebsocketClientConnector } from "buttplug";
 
-const PORT   = 8765;
-const MOVE_MS = 400;          // duration argument for device.linear()
-
-const server = net.createServer(socket => {
-  console.log("Pico connected");
-
-  let buf = "";
-  socket.on("data", chunk => {
-    buf += chunk.toString();
-    let idx;
-    while ((idx = buf.indexOf("\n")) >= 0) {
-      const line = buf.slice(0, idx);   // one line
-      buf = buf.slice(idx + 1);
-      try {
-        const { p } = JSON.parse(line);
-        if (globalThis.device?.linear)
-          globalThis.device.linear(p, MOVE_MS);
-      } catch (e) {
-        console.error("bad line", line, e);
+const USAGE = `usage: node tcp-bridge.js [options]
+
+  --port <n>         TCP port to listen on (default 8765)
+  --server <url>     Intiface websocket address (default ws://127.0.0.1:12345)
+  --device <name>    device to drive, by index or part of its name (default: first linear device)
+  --move-ms <ms>     shortest move duration, smoothing out jumps (default 400)
+  --max-speed <n>    fastest movement in strokes per second (default 4)
+  --max-rate <n>     most lines accepted per client per second (default 60)
+  --ws-port <n>      local WebSocket port publishing positions, 0 for none (default 8766)
+  --no-intiface      only publish positions, without driving a device
+  --help             show this help`;
+
+const MAX_LINE = 256;        // longest line accepted, in bytes
+const SEND_INTERVAL = 50;    // most frequent device update, in ms
+const RECONNECT_MS = 5000;   // wait before reconnecting to Intiface
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "8765" },
+      server: { type: "string", default: "ws://127.0.0.1:12345" },
+      device: { type: "string" },
+      "move-ms": { type: "string", default: "400" },
+      "max-speed": { type: "string", default: "4" },
+      "max-rate": { type: "string", default: "60" },
+      "ws-port": { type: "string", default: "8766" },
+      "no-intiface": { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  const number = (name, min) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min) {
+      console.error(`--${name} must be a number of at least ${min}\n\n${USAGE}`);
+      process.exit(1);
+    }
+    return value;
+  };
+  const port = (name, { none = false } = {}) => {
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < (none ? 0 : 1) || value > 65535) {
+      console.error(`--${name} must be a port from ${none ? 0 : 1} to 65535\n\n${USAGE}`);
+      process.exit(1);
+    }
+    return value;
+  };
+  const server = () => {
+    let url = null;
+    try {
+      url = new URL(values.server);
+    } catch (error) {
+      // Reported below
+    }
+    // URL rejects ports above 65535 itself
+    if (!url || (url.protocol !== "ws:" && url.protocol !== "wss:") || url.port === "0") {
+      console.error(`--server must be a ws:// or wss:// address with a port from 1 to 65535\n\n${USAGE}`);
+      process.exit(1);
+    }
+    return values.server;
+  };
+  return {
+    port: port("port"),
+    server: server(),
+    device: values.device,
+    moveMs: number("move-ms", 0),
+    maxSpeed: number("max-speed", 0.1) / 1000,
+    maxRate: number("max-rate", 1),
+    wsPort: port("ws-port", { none: true }),
+    intiface: !values["no-intiface"],
+  };
+}
+
+/**
+ * Parses one line from a client.
+ * @param {string} line - The line, without its newline.
+ * @returns {number} - The position, from 0 to 1.
+ * @throws {Error} - If the line isn't a valid position.
+ */
+function parseLine(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    throw new Error("not JSON");
+  }
+  if (typeof message !== "object" || message === null) throw new Error("not an object");
+  const p = message.p;
+  if (typeof p !== "number" || Number.isNaN(p)) throw new Error("p is not a number");
+  if (p < 0 || p > 1) throw new Error(`p is out of range: ${p}`);
+  return p;
+}
+
+// The library's connector doesn't listen for websocket errors, which in Node
+// crash the process when Intiface isn't running. The close event that
+// follows an error already fails the connection attempt.
+class Connector extends ButtplugNodeWebsocketClientConnector {
+  constructor(url) {
+    super(url);
+    const WebSocket = this._websocketConstructor;
+    this._websocketConstructor = class extends WebSocket {
+      constructor(...args) {
+        super(...args);
+        this.on("error", () => {});
       }
+    };
+  }
+}
+
+// Connection to Intiface and the device positions are forwarded to
+class Output {
+  constructor({ server, device, moveMs, maxSpeed }) {
+    this.server = server;
+    this.selector = device;
+    this.moveMs = moveMs;
+    this.maxSpeed = maxSpeed;
+    this.client = null;
+    this.device = null;
+    // Latest requested position, and the last one sent to the device
+    this.target = null;
+    this.position = null;
+    this.timer = setInterval(() => this.send(), SEND_INTERVAL);
+  }
+
+  async connect() {
+    const client = new ButtplugClient("vibe sequencer tcp bridge");
+    client.on("deviceadded", () => this.pickDevice());
+    client.on("deviceremoved", (device) => {
+      if (device !== this.device) return;
+      console.log(`Device removed: ${device.name}`);
+      this.device = null;
+      this.pickDevice();
+    });
+    client.on("disconnect", () => {
+      // A client given up on while connecting is retried by connect itself
+      if (client !== this.client) return;
+      console.error("Lost the connection to Intiface");
+      this.client = null;
+      this.device = null;
+      this.reconnect();
+    });
+    try {
+      await client.connect(new Connector(this.server));
+    } catch (error) {
+      const reason = error ? error.message : "no answer";
+      console.error(`Failed to connect to Intiface at ${this.server}: ${reason}, retrying`);
+      this.client = null;
+      this.device = null;
+      if (client.connected) await client.disconnect().catch(() => {});
+      this.reconnect();
+      return;
     }
+    console.log(`Connected to Intiface at ${this.server}`);
+    this.client = client;
+    this.pickDevice();
+    // Devices Intiface already knows can be driven without scanning, so a
+    // failed scan leaves the connection up
+    try {
+      await client.startScanning();
+    } catch (error) {
+      console.error(`Failed to scan for devices: ${error.message}`);
+    }
+  }
+
+  reconnect() {
+    setTimeout(() => this.connect().catch((error) => {
+      console.error(`Failed to connect to Intiface: ${error.message}, retrying`);
+      this.reconnect();
+    }), RECONNECT_MS);
+  }
+
+  // Chooses the device to drive, if none is chosen yet
+  pickDevice() {
+    if (this.device || !this.client) return;
+    const selector = this.selector;
+    const linear = this.client.devices.filter((device) => device.linearAttributes.length);
+    const device = selector === undefined
+      ? linear[0]
+      : linear.find((device) =>
+        String(device.index) === selector || device.name.toLowerCase().includes(selector.toLowerCase())
+      );
+    if (!device) return;
+    this.device = device;
+    this.position = null;
+    console.log(`Driving ${device.name} (index ${device.index})`);
+  }
+
+  move(position) {
+    this.target = position;
+  }
+
+  // Sends the latest target. Moves take at least moveMs, and longer where
+  // they would otherwise exceed the speed limit.
+  send() {
+    if (!this.device || this.target === null || this.target === this.position) return;
+    const distance = this.position === null ? 1 : Math.abs(this.target - this.position);
+    const duration = Math.round(Math.max(this.moveMs, distance / this.maxSpeed));
+    this.position = this.target;
+    this.device.linear(this.target, duration).catch((error) => {
+      console.error(`Failed to move ${this.device ? this.device.name : "device"}: ${error.message}`);
+    });
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    if (this.device) await this.device.stop().catch(() => {});
+    if (this.client && this.client.connected) await this.client.disconnect().catch(() => {});
+  }
+}
+
+// Publishes positions to local WebSocket subscribers
+function publish({ wsPort }) {
+  if (!wsPort) return { send() {}, close() {} };
+  const server = new WebSocketServer({ host: "127.0.0.1", port: wsPort });
+  server.on("listening", () => console.log("Publishing positions on ws://127.0.0.1:" + wsPort));
+  server.on("error", (error) => console.error(`WebSocket server: ${error.message}`));
+  server.on("connection", (socket) => {
+    console.log(`Subscriber connected (${server.clients.size} subscribed)`);
+    socket.on("error", (error) => console.error(`Subscriber: ${error.message}`));
+    socket.on("close", () => console.log(`Subscriber disconnected (${server.clients.size} subscribed)`));
+  });
+  return {
+    send(p) {
+      const message = JSON.stringify({ p, t: Date.now() });
+      server.clients.forEach((socket) => {
+        if (socket.readyState === 1) socket.send(message);
+      });
+    },
+    close() {
+      server.close();
+    },
+  };
+}
+
+function serve(onPosition, { port, maxRate }) {
+  const minGap = 1000 / maxRate;
+  const clients = new Set();
+
+  const server = net.createServer((socket) => {
+    const name = `${socket.remoteAddress}:${socket.remotePort}`;
+    clients.add(socket);
+    console.log(`Pico connected: ${name} (${clients.size} connected)`);
+
+    let buf = "";
+    let last = -Infinity;
+    let warned = false;
+    socket.on("data", (chunk) => {
+      buf += chunk.toString();
+      let idx;
+      while ((idx = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, idx).trim();   // one line
+        buf = buf.slice(idx + 1);
+        if (!line) continue;
+        let p;
+        try {
+          p = parseLine(line);
+        } catch (e) {
+          console.error(`${name}: bad line ${JSON.stringify(line.slice(0, 80))}: ${e.message}`);
+          continue;
+        }
+        // Lines arriving faster than the rate limit are dropped
+        const now = Date.now();
+        if (now - last < minGap) {
+          if (!warned) console.warn(`${name}: sending faster than ${maxRate} lines/s, dropping lines`);
+          warned = true;
+          continue;
+        }
+        last = now;
+        onPosition(p);
+      }
+      if (buf.length > MAX_LINE) {
+        console.error(`${name}: line too long, discarding`);
+        buf = "";
+      }
+    });
+
+    socket.on("error", (error) => console.error(`${name}: ${error.message}`));
+    socket.on("close", () => {
+      clients.delete(socket);
+      console.log(`Pico disconnected: ${name} (${clients.size} connected)`);
+    });
+  });
+
+  server.listen(port, () => console.log("TCP bridge listening on", port));
+  return server;
+}
+
+async function main() {
+  const options = readOptions();
+  const output = new Output(options);
+  const subscribers = publish(options);
+  const server = serve((p) => {
+    output.move(p);
+    subscribers.send(p);
+  }, options);
+
+  process.on("SIGINT", async () => {
+    console.log("Stopping");
+    server.close();
+    subscribers.close();
+    await output.close();
+    process.exit(0);
   });
 
-  socket.on("close", () => console.log("Pico disconnected"));
-});
+  if (options.intiface) await output.connect();
+}
 
-server.listen(PORT, () => console.log("TCP bridge listening on", PORT));
+main();
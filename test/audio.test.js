@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { analyzeAudio, audioToPattern } from "../audio.js";
+import { MIN_COLUMNS, MAX_COLUMNS } from "../sequences.js";
+
+// A click every beat at `bpm`, starting at `offset` seconds
+function clickTrack(bpm, offset, seconds, sampleRate = 22050) {
+  const data = new Float32Array(sampleRate * seconds);
+  for (let beat = offset; beat < seconds; beat += 60 / bpm) {
+    const start = Math.floor(beat * sampleRate);
+    for (let i = 0; i < 1000 && start + i < data.length; i++) data[start + i] = Math.sin(i * 0.1) * Math.exp(-i / 200);
+  }
+  return { sampleRate, length: data.length, numberOfChannels: 1, getChannelData: () => data };
+}
+
+test("the analysis finds the tempo and first beat of a click track and reports its progress", async () => {
+  const progress = [];
+  const analysis = await analyzeAudio(clickTrack(128, 0.3, 20), (fraction) => progress.push(fraction));
+  assert.ok(Math.abs(analysis.bpm - 128) < 1, `bpm ${analysis.bpm}`);
+  assert.ok(Math.abs(analysis.firstBeat - 0.3) < 0.03, `first beat ${analysis.firstBeat}`);
+  assert.equal(progress[progress.length - 1], 1);
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+});
+
+test("patterns have the steps asked for, within the sequencer's column range", async () => {
+  const analysis = await analyzeAudio(clickTrack(120, 0, 10));
+  assert.equal(audioToPattern(analysis, { steps: 16 }).values.length, 16);
+  assert.equal(audioToPattern(analysis, { steps: 1000 }).values.length, MAX_COLUMNS);
+  assert.equal(audioToPattern(analysis, { steps: 0 }).values.length, MIN_COLUMNS);
+  // Steps past the end of the file are silent
+  const { values } = audioToPattern(analysis, { stepsPerBeat: 1, startBeat: 15, steps: 8 });
+  assert.deepEqual(values.slice(-2), [0, 0]);
+});
@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toFunscript, fromFunscript } from "../funscript.js";
+
+const actions = [
+  { at: 0, pos: 0 },
+  { at: 120, pos: 85 },
+  { at: 300, pos: 12 },
+  { at: 410, pos: 100 },
+  { at: 650, pos: 37 },
+  { at: 700, pos: 64 },
+  { at: 905, pos: 3 },
+  { at: 1000, pos: 90 },
+  { at: 1180, pos: 50 },
+];
+
+test("a script imported with its timing exports to the same actions", () => {
+  const sequence = fromFunscript({ actions }, { columns: 64, rows: 101, keepTiming: true });
+  assert.deepEqual(toFunscript([sequence]).actions, actions);
+});
+
+test("imported positions are kept between the rows", () => {
+  const sequence = fromFunscript({ actions }, { columns: 64, rows: 5, keepTiming: true });
+  assert.equal(sequence.values[1], 0.85);
+});
+
+test("a short script is padded to the fewest steps a sequence has", () => {
+  const script = { actions: [{ at: 0, pos: 20 }, { at: 100, pos: 80 }, { at: 300, pos: 40 }] };
+  const sequence = fromFunscript(script, { columns: 64, rows: 5, keepTiming: true });
+  assert.deepEqual(sequence.values, [0.2, 0.8, 0.4, 0.4, 0.4, 0.4, 0.4, 0.4]);
+  assert.deepEqual(sequence.stepDurations, [100, 200, 150, 150, 150, 150, 150, 150]);
+});
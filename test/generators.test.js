@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getGenerator, runGenerator } from "../generators.js";
+
+test("number parameters reach the generator clamped to their schema", async () => {
+  let seen = null;
+  const generate = (rows, cols, { params }) => {
+    seen = params;
+    return Array(cols).fill(0);
+  };
+  const generator = { ...getGenerator("genetic"), generate };
+  await runGenerator(generator, 5, 8, {
+    random: Math.random,
+    params: { populationSize: 1e9, generations: 2.6, mutationRate: "x" },
+  });
+  assert.deepEqual(seen, { populationSize: 100, generations: 3, mutationRate: 0.1 });
+});
+
+test("a zero LLM timeout is kept, meaning no time limit", async () => {
+  let seen = null;
+  const generate = (rows, cols, { params }) => {
+    seen = params;
+    return Array(cols).fill(0);
+  };
+  await runGenerator({ ...getGenerator("llm"), generate }, 5, 8, { params: { timeout: 0 } });
+  assert.equal(seen.timeout, 0);
+});
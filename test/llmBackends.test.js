@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { request, isAbortError } from "../llmBackends.js";
+
+// Answers after a short delay, or rejects as fetch does when aborted
+function slowFetch(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve({ ok: true, json: async () => ({ url }) }), 20);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      const error = new Error("aborted");
+      error.name = "AbortError";
+      reject(error);
+    });
+  });
+}
+
+test("a timeout of 0 sets no time limit", async (t) => {
+  t.mock.method(globalThis, "fetch", slowFetch);
+  assert.deepEqual(await request("http://llm.test/", {}, { timeout: 0 }), { url: "http://llm.test/" });
+});
+
+test("a cancelled request rejects with an AbortError", async (t) => {
+  t.mock.method(globalThis, "fetch", slowFetch);
+  const controller = new AbortController();
+  const reply = request("http://llm.test/", {}, { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(reply, isAbortError);
+});
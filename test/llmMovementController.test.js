@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import LLMMovementController from "../LLMMovementController.js";
+
+const controller = new LLMMovementController();
+
+test("keyframes are read from fenced or wrapped JSON", () => {
+  const keyframes = [{ time: 0, intensity: 0.2, curve: "ease-in" }, { time: 1, intensity: 0.8, curve: "linear" }];
+  const fenced = "```json\n" + JSON.stringify({ keyframes }) + "\n```";
+  assert.deepEqual(controller.parseKeyframes(fenced), keyframes);
+  const wrapped = "Here you go: " + JSON.stringify(keyframes) + " Enjoy!";
+  assert.deepEqual(controller.parseKeyframes(wrapped), keyframes);
+});
+
+test("replies without usable keyframes are rejected", () => {
+  assert.throws(() => controller.parseKeyframes("a slow, gentle build"), /not JSON/);
+  assert.throws(() => controller.parseKeyframes('{"keyframes": [{"time": 0}, {"ti'), SyntaxError);
+  assert.throws(() => controller.parseKeyframes('{"pattern": []}'), /no keyframes/);
+  assert.throws(() => controller.parseKeyframes('{"keyframes": [{"time": -1, "intensity": 1}]}'), /no valid keyframes/);
+});
+
+test("out-of-range keyframes are repaired", () => {
+  const reply = JSON.stringify({
+    keyframes: [
+      { time: "1000", intensity: "40", curve: "wobble" },
+      { time: 250, intensity: 100 },
+      { time: 250, intensity: 20 },
+      { time: -5, intensity: 50 },
+      { time: 500, intensity: -10, curve: "step" },
+    ],
+  });
+  assert.deepEqual(controller.parseKeyframes(reply), [
+    { time: 0, intensity: 0.2, curve: "linear" },
+    { time: 0.25, intensity: 0.2, curve: "linear" },
+    { time: 0.5, intensity: 0, curve: "step" },
+    { time: 1, intensity: 0.4, curve: "linear" },
+  ]);
+});
+
+test("keyframes are resampled with their curves onto evenly spaced steps", () => {
+  const linear = [{ time: 0, intensity: 0, curve: "linear" }, { time: 1, intensity: 1, curve: "linear" }];
+  assert.deepEqual(controller.resampleKeyframes(linear, 5), [0, 0.25, 0.5, 0.75, 1]);
+  const step = [{ time: 0, intensity: 0.5, curve: "step" }, { time: 1, intensity: 1, curve: "linear" }];
+  assert.deepEqual(controller.resampleKeyframes(step, 3), [0.5, 0.5, 1]);
+  assert.deepEqual(controller.resampleKeyframes(linear, 1), [0]);
+});
+
+test("a reply that isn't keyframes falls back to its keywords", async (t) => {
+  const llm = new LLMMovementController();
+  llm.backend = { complete: async () => "Something slow and smooth" };
+  t.mock.method(console, "warn", () => {});
+  const pattern = await llm.generateMovementSequence("anything", 800);
+  assert.equal(pattern.length, 8);
+  assert.ok(pattern.every((level) => level >= 0 && level <= 1));
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseMidi, midiToSequences } from "../midi.js";
+import { MAX_COLUMNS } from "../sequences.js";
+import { stepDurations } from "../timing.js";
+
+// Builds a one-track Standard MIDI File with 96 ticks per quarter note
+function midiFile(events) {
+  const track = events.flat();
+  const bytes = [
+    ..."MThd".split("").map((c) => c.charCodeAt(0)), 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+    ..."MTrk".split("").map((c) => c.charCodeAt(0)),
+    (track.length >>> 24) & 0xff, (track.length >>> 16) & 0xff, (track.length >>> 8) & 0xff, track.length & 0xff,
+    ...track,
+  ];
+  return new Uint8Array(bytes).buffer;
+}
+
+// A delta time below 128 ticks followed by the event's bytes
+const at = (delta, ...data) => [delta, ...data];
+const endOfTrack = at(0, 0xff, 0x2f, 0);
+
+test("a zero tempo is ignored", () => {
+  const midi = parseMidi(midiFile([
+    at(0, 0xff, 0x51, 3, 0, 0, 0),
+    at(0, 0x90, 60, 100),
+    at(96, 0x80, 60, 0),
+    endOfTrack,
+  ]));
+  assert.deepEqual(midi.tempos, []);
+  const [sequence] = midiToSequences(midi, { track: 0, channel: 0, rows: 5 });
+  assert.equal(sequence.bpm, 120);
+  assert.ok(stepDurations(sequence).every((duration) => duration > 0));
+});
+
+test("a meta event cancels running status", () => {
+  // The data bytes after the text event have no status to run on
+  const file = midiFile([
+    at(0, 0x90, 60, 100),
+    at(0, 0xff, 0x01, 1, 0x41),
+    at(96, 60, 0),
+    endOfTrack,
+  ]);
+  assert.throws(() => parseMidi(file), /Corrupt MIDI track/);
+});
+
+test("long parts are split into sequences of at most MAX_COLUMNS steps", () => {
+  // A note held for 20 beats, 1920 ticks written as the varint 0x8f 0x00
+  const midi = parseMidi(midiFile([
+    at(0, 0x90, 60, 127),
+    [0x8f, 0x00, 0x80, 60, 0],
+    endOfTrack,
+  ]));
+  const sequences = midiToSequences(midi, { track: 0, channel: 0, stepsPerBeat: 4, rows: 5 });
+  assert.deepEqual(sequences.map(({ values }) => values.length), [MAX_COLUMNS, 80 - MAX_COLUMNS]);
+  assert.ok(sequences.every(({ values }) => values.every((level) => level === 1)));
+});
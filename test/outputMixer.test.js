@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import OutputMixer from "../OutputMixer.js";
+import SafetyLimiter from "../SafetyLimiter.js";
+import VirtualDevice from "../VirtualDevice.js";
+import { deviceKind, actuatorCount, resolveRoutes } from "../routing.js";
+
+// These run without the Buttplug library, as virtual devices do offline
+
+function createMixer(blendMode = "max") {
+  return new OutputMixer(blendMode, new SafetyLimiter({ softStart: 0, maxSpeed: 0.001 }));
+}
+
+test("virtual devices are routed without the Buttplug library", () => {
+  const vibrator = new VirtualDevice({ kind: "vibrate", actuators: 2 });
+  const stroker = new VirtualDevice({ name: "Stroker", index: -2, kind: "linear" });
+  assert.equal(deviceKind(vibrator), "vibrate");
+  assert.equal(actuatorCount(vibrator), 2);
+  assert.equal(deviceKind(stroker), "linear");
+  assert.deepEqual(resolveRoutes([{ device: "Stroker", actuators: [] }], [vibrator, stroker]), [
+    { device: stroker, actuators: [] },
+  ]);
+});
+
+test("the mixer blends tracks onto a virtual vibrator", () => {
+  const device = new VirtualDevice({ kind: "vibrate", actuators: 2 });
+  const mixer = createMixer();
+  mixer.write("a", [{ device, actuators: [] }], 0.25);
+  mixer.write("b", [{ device, actuators: [1] }], 0.75);
+  assert.deepEqual(device.takeCommands().map(({ type, actuators }) => ({ type, actuators })), [
+    { type: "vibrate", actuators: [{ index: 0, speed: 0.25 }, { index: 1, speed: 0.25 }] },
+    { type: "vibrate", actuators: [{ index: 1, speed: 0.75 }] },
+  ]);
+
+  // Releasing the only track on motor 1 hands it back to the other track
+  mixer.release("b");
+  mixer.release("a");
+  assert.deepEqual(device.takeCommands().map(({ type, actuators }) => ({ type, actuators })), [
+    { type: "vibrate", actuators: [{ index: 1, speed: 0.25 }] },
+    { type: "stop", actuators: [] },
+  ]);
+});
+
+test("the mixer moves a virtual stroker within the speed limit", () => {
+  const device = new VirtualDevice({ kind: "linear" });
+  const mixer = createMixer();
+  mixer.write("a", [{ device, actuators: [] }], 0, 500);
+  mixer.write("a", [{ device, actuators: [] }], 1, 500);
+  assert.deepEqual(device.takeCommands()[1].actuators, [{ index: 0, position: 0.5, duration: 500 }]);
+});
+
+test("the first move of an axis is held to the speed limit", () => {
+  const device = new VirtualDevice({ kind: "linear" });
+  const safety = new SafetyLimiter({ softStart: 0, maxSpeed: 0.001 });
+  assert.equal(safety.limitPosition(device, 0, 1, 100), 0.1);
+  assert.equal(safety.limitPosition(device, 0, 1, 100), 0.2);
+});
+
+test("the mixer drops a device whose commands fail until the devices change", async () => {
+  const device = new VirtualDevice({ name: "Flaky", kind: "vibrate" });
+  let attempts = 0;
+  device.vibrate = () => {
+    attempts++;
+    return Promise.reject(new Error("Device disconnected"));
+  };
+  const mixer = createMixer();
+  const logged = [];
+  const error = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    mixer.write("a", [{ device, actuators: [] }], 0.5);
+    await new Promise((resolve) => setTimeout(resolve));
+    mixer.write("a", [{ device, actuators: [] }], 0.5);
+    assert.equal(attempts, 1);
+    mixer.devicesChanged();
+    mixer.write("a", [{ device, actuators: [] }], 0.5);
+    await new Promise((resolve) => setTimeout(resolve));
+  } finally {
+    console.error = error;
+  }
+  assert.equal(attempts, 2);
+  assert.equal(logged.length, 2);
+  assert.match(logged[0][0], /Failed to send to Flaky/);
+});
@@ -0,0 +1,90 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import PlaybackScheduler from "../PlaybackScheduler.js";
+
+// A fake clock drives both the scheduler's timeouts and its `now`
+function createScheduler(values = [0, 0.25, 0.5, 1], duration = 100) {
+  mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const scheduler = new PlaybackScheduler({ lookahead: 100, interval: 25, now: () => Date.now() });
+  scheduler.setSequence({ values, duration });
+  const events = [];
+  scheduler.on("step", ({ index, time }) => events.push({ index, time }));
+  scheduler.on("loop", () => events.push("loop"));
+  scheduler.on("seek", (index) => events.push({ seek: index }));
+  return { scheduler, events };
+}
+
+test.afterEach(() => mock.timers.reset());
+
+test("steps are booked within the lookahead and play at their start times", () => {
+  const { scheduler, events } = createScheduler();
+  scheduler.start();
+  mock.timers.tick(0);
+  assert.deepEqual(events, [{ index: 0, time: 0 }]);
+  // Only the steps starting before now + lookahead are booked
+  assert.deepEqual(Array.from(scheduler.pending.values()).map(({ index }) => index), []);
+  mock.timers.tick(25);
+  assert.deepEqual(Array.from(scheduler.pending.values()).map(({ index }) => index), [1]);
+  mock.timers.tick(325);
+  assert.deepEqual(events, [
+    { index: 0, time: 0 },
+    { index: 1, time: 100 },
+    { index: 2, time: 200 },
+    { index: 3, time: 300 },
+  ]);
+  scheduler.stop();
+});
+
+test("wrapping around from the last step emits loop before the first step", () => {
+  const { scheduler, events } = createScheduler();
+  scheduler.start();
+  mock.timers.tick(400);
+  assert.deepEqual(events.slice(-2), ["loop", { index: 0, time: 400 }]);
+  scheduler.stop();
+});
+
+test("seeking drops the booked steps and plays from the new position", () => {
+  const { scheduler, events } = createScheduler();
+  scheduler.start();
+  mock.timers.tick(150);
+  scheduler.seek(3);
+  mock.timers.tick(0);
+  assert.deepEqual(events.slice(-2), [{ seek: 3 }, { index: 3, time: 150 }]);
+  mock.timers.tick(100);
+  assert.deepEqual(events.slice(-2), ["loop", { index: 0, time: 250 }]);
+  assert.equal(events.filter((event) => event.index === 2).length, 0);
+  scheduler.stop();
+});
+
+test("a sequence that grows goes on past its old last step", () => {
+  const { scheduler, events } = createScheduler();
+  scheduler.start();
+  // The wrap to step 0 at 400 is booked by now
+  mock.timers.tick(350);
+  scheduler.setSequence({ values: Array(8).fill(0), duration: 100 });
+  mock.timers.tick(100);
+  assert.deepEqual(events.slice(-1), [{ index: 4, time: 400 }]);
+  assert.ok(!events.includes("loop"));
+  scheduler.stop();
+});
+
+test("a sequence that shrinks below the position wraps around", () => {
+  const { scheduler, events } = createScheduler(Array(8).fill(0));
+  scheduler.start();
+  mock.timers.tick(550);
+  scheduler.setSequence({ values: Array(4).fill(0), duration: 100 });
+  mock.timers.tick(100);
+  assert.deepEqual(events.slice(-1), [{ index: 2, time: 600 }]);
+  scheduler.stop();
+});
+
+test("steps of no length still take time", () => {
+  const { scheduler, events } = createScheduler([0, 1], 0);
+  scheduler.start();
+  mock.timers.tick(0);
+  // Booking stops at the lookahead instead of spinning forever
+  assert.ok(scheduler.pending.size <= 10);
+  mock.timers.tick(100);
+  assert.deepEqual(events.slice(0, 3), [{ index: 0, time: 0 }, { index: 1, time: 10 }, "loop"]);
+  scheduler.stop();
+});
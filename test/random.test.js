@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRandom } from "../random.js";
+import { listGenerators, runGenerator, defaultParams } from "../generators.js";
+
+// Generators that work from outside input rather than the seed
+const EXTERNAL = ["llm", "audio"];
+
+// Runs a generator with a seeded random function, counting the draws
+async function generate(generator, seed) {
+  const seeded = createRandom(seed);
+  let draws = 0;
+  const random = () => {
+    draws++;
+    return seeded();
+  };
+  const params = defaultParams(generator);
+  const { values } = await runGenerator(generator, 5, 16, { random, seed, params, values: [] });
+  return { values, draws };
+}
+
+test("the same seed always gives the same numbers", () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  for (let i = 0; i < 100; i++) assert.equal(a(), b());
+});
+
+listGenerators()
+  .filter(({ id }) => !EXTERNAL.includes(id))
+  .forEach((generator) => {
+    test(`the ${generator.id} generator is reproducible from its seed`, async () => {
+      const first = await generate(generator, 1234);
+      const again = await generate(generator, 1234);
+      assert.deepEqual(again.values, first.values);
+
+      // Generators that draw no random numbers give one pattern for every seed
+      if (!first.draws) return;
+      const other = await generate(generator, 98765);
+      assert.notDeepEqual(other.values, first.values);
+    });
+  });
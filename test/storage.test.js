@@ -0,0 +1,65 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import { SCHEMA_VERSION, migrate, loadState, validateSequence, validateSavedState } from "../storage.js";
+import { loadSecret } from "../secrets.js";
+
+// The app only indexes localStorage, so a plain object stands in for it
+globalThis.localStorage = {};
+
+test("LLM API keys move out of sequences into the device's secrets", () => {
+  localStorage.secrets = JSON.stringify({});
+  const sequence = { values: [0, 1], rows: 2, params: { backend: "openai", apiKey: "sk-test", model: "m" } };
+  const { sequences } = migrate({ sequences: [sequence], arrangement: null }, 1);
+  assert.deepEqual(sequences[0].params, { backend: "openai", model: "m" });
+  assert.equal(loadSecret("llm.apiKey.openai"), "sk-test");
+});
+
+test("saved undo states keep the arrangement with the sequences", () => {
+  const arrangement = { loopMode: "loop-all", entries: [{ id: "e", sequenceId: "a", repeat: 2, crossfade: 0 }] };
+  const state = validateSavedState({ sequences: [{ id: "a", values: [0, 1], rows: 2 }], arrangement }, 2);
+  assert.equal(state.sequences[0].id, "a");
+  assert.deepEqual(state.arrangement, arrangement);
+  assert.equal(validateSavedState([{ id: "a", values: [0, 1] }], 2), null);
+});
+
+test("unversioned sequences get levels, ids and seeds", () => {
+  const { sequences } = migrate({ sequences: [{ values: [0, 2, 4] }, "broken"], arrangement: null }, 0);
+  assert.deepEqual(sequences[0].values, [0, 0.5, 1]);
+  assert.equal(sequences[0].rows, 5);
+  assert.equal(typeof sequences[0].id, "string");
+  assert.ok(Number.isInteger(sequences[0].seed));
+  // Broken entries are left for validation to drop
+  assert.equal(sequences[1], "broken");
+});
+
+test("sequences are repaired where they can be and rejected where not", () => {
+  assert.equal(validateSequence(null), null);
+  assert.equal(validateSequence({ values: [] }), null);
+  assert.equal(validateSequence({ values: "0,1" }), null);
+  const valid = validateSequence({ id: "a", values: [-1, 0.5, 2, "x"], rows: 500, duration: -5, swing: "lots" });
+  assert.deepEqual(valid.values, [0, 0.5, 1, 0]);
+  assert.equal(valid.rows, 100);
+  assert.equal(valid.duration, 200);
+  assert.ok(!("swing" in valid));
+});
+
+test("loading drops unreadable entries and sets aside what doesn't parse", () => {
+  globalThis.localStorage = {
+    sequences: JSON.stringify([{ id: "a", values: [0, 4] }, { id: "a", values: [1] }, 7]),
+    arrangement: "{not json",
+  };
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  try {
+    const { sequences, arrangement } = loadState();
+    assert.equal(sequences.length, 2);
+    assert.deepEqual(sequences[0].values, [0, 1]);
+    assert.notEqual(sequences[1].id, "a");
+    assert.deepEqual(arrangement.entries, []);
+    assert.equal(localStorage["arrangement.corrupt"], "{not json");
+    assert.equal(Number(localStorage.schemaVersion), SCHEMA_VERSION);
+  } finally {
+    mock.restoreAll();
+    globalThis.localStorage = {};
+  }
+});
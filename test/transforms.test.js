@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  invert,
+  reverse,
+  mirror,
+  shift,
+  stretch,
+  scale,
+  smooth,
+  quantize,
+  concatenate,
+  crossfade,
+} from "../transforms.js";
+
+function createSequence(values, extra = {}) {
+  return { id: "s", seed: 1, mode: "random", values, rows: 5, duration: 100, ...extra };
+}
+
+test("transforms leave the original alone and make a manual sequence", () => {
+  const sequence = createSequence([0, 0.5, 1]);
+  const inverted = invert(sequence);
+  assert.deepEqual(inverted.values, [1, 0.5, 0]);
+  assert.equal(inverted.mode, "manual");
+  assert.deepEqual(sequence.values, [0, 0.5, 1]);
+  assert.equal(sequence.mode, "random");
+});
+
+test("rearranging steps moves their own durations with them", () => {
+  const sequence = createSequence([0, 0.5, 1], { stepDurations: [50, null, 300] });
+  assert.deepEqual(reverse(sequence).stepDurations, [300, null, 50]);
+  assert.deepEqual(mirror(sequence).values, [0, 0.5, 1, 1, 0.5, 0]);
+  assert.deepEqual(mirror(sequence).stepDurations, [50, null, 300, 300, null, 50]);
+  assert.deepEqual(shift(sequence, 1).values, [1, 0, 0.5]);
+  assert.deepEqual(shift(sequence, -4).stepDurations, [null, 300, 50]);
+});
+
+test("stretching resamples between the first and last levels", () => {
+  const stretched = stretch(createSequence([0, 1]), 5);
+  assert.deepEqual(stretched.values, [0, 0.25, 0.5, 0.75, 1]);
+  assert.deepEqual(stretch(createSequence([0, 0.5, 1]), 2).values, [0, 1]);
+});
+
+test("scaling clamps the levels to 0..1", () => {
+  assert.deepEqual(scale(createSequence([0, 0.5, 1]), 2, -0.5).values, [0, 0.5, 1]);
+  assert.deepEqual(scale(createSequence([0.25, 0.75]), 1, 0.5).values, [0.75, 1]);
+});
+
+test("smoothing averages around the loop", () => {
+  assert.deepEqual(smooth(createSequence([0, 0, 0.9])).values, [0.3, 0.3, 0.3]);
+  assert.deepEqual(smooth(createSequence([0, 1]), 0).values, [0, 1]);
+});
+
+test("quantizing snaps to evenly spaced levels", () => {
+  assert.deepEqual(quantize(createSequence([0.1, 0.4, 0.8]), 3).values, [0, 0.5, 1]);
+  assert.deepEqual(quantize(createSequence([0.3, 0.7]), 1).values, [0, 1]);
+});
+
+test("concatenating keeps each step's length", () => {
+  const first = createSequence([0, 1], { swing: 0.5 });
+  const second = createSequence([0.5], { id: "t", duration: 40, rows: 9 });
+  const joined = concatenate(first, second);
+  assert.notEqual(joined.id, first.id);
+  assert.deepEqual(joined.values, [0, 1, 0.5]);
+  assert.deepEqual(joined.stepDurations, [150, 50, 40]);
+  assert.equal(joined.swing, 0);
+  assert.equal(joined.rows, 9);
+});
+
+test("crossfading blends the overlapping steps", () => {
+  const first = createSequence([1, 1, 1]);
+  const second = createSequence([0, 0, 0], { id: "t", duration: 400 });
+  const faded = crossfade(first, second, 2);
+  assert.equal(faded.values.length, 4);
+  assert.deepEqual(faded.values.map((level) => Math.round(level * 100) / 100), [1, 0.67, 0.33, 0]);
+  assert.deepEqual(faded.stepDurations, [100, 200, 300, 400]);
+  // The overlap can't be longer than either sequence
+  assert.equal(crossfade(first, createSequence([0]), 5).values.length, 3);
+});
@@ -0,0 +1,79 @@
+// Step timing for sequences. A sequence's base `duration` applies to every
+// step unless `stepDurations[i]` gives that step its own length. On top of
+// that, `swing` lengthens every even step and shortens the odd step after it
+// by the same amount, and `tempoCurve` accelerates (> 0) or decelerates (< 0)
+// the steps over the course of the loop.
+
+export const MAX_SWING = 0.75;
+export const DEFAULT_STEPS_PER_BEAT = 4;
+
+/**
+ * Computes how long one step of a sequence lasts.
+ * @param {Object} sequence - The sequence.
+ * @param {number} index - The step index.
+ * @returns {number} - The step length in ms.
+ */
+export function stepDuration(sequence, index) {
+  const length = sequence.values.length;
+  const own = sequence.stepDurations && sequence.stepDurations[index];
+  let duration = own > 0 ? own : sequence.duration;
+
+  const swing = Math.max(0, Math.min(MAX_SWING, sequence.swing || 0));
+  if (swing && index % 2 === 0 && index + 1 < length) duration *= 1 + swing;
+  else if (swing && index % 2 === 1) duration *= 1 - swing;
+
+  // The curve scales steps from 2^curve at the start to 2^-curve at the end
+  const curve = sequence.tempoCurve || 0;
+  if (curve && length > 1) duration *= Math.pow(2, curve * (1 - 2 * index / (length - 1)));
+
+  return duration;
+}
+
+/**
+ * Computes the length of every step of a sequence.
+ * @param {Object} sequence - The sequence.
+ * @returns {number[]} - The step lengths in ms.
+ */
+export function stepDurations(sequence) {
+  return sequence.values.map((_, i) => stepDuration(sequence, i));
+}
+
+/**
+ * Converts a tempo to a step length.
+ * @param {number} bpm - Beats per minute.
+ * @param {number} [stepsPerBeat=4] - How many steps make up one beat.
+ * @returns {number} - The step length in ms.
+ */
+export function bpmToDuration(bpm, stepsPerBeat = DEFAULT_STEPS_PER_BEAT) {
+  return 60000 / bpm / stepsPerBeat;
+}
+
+/**
+ * Converts a step length to a tempo.
+ * @param {number} duration - The step length in ms.
+ * @param {number} [stepsPerBeat=4] - How many steps make up one beat.
+ * @returns {number} - Beats per minute.
+ */
+export function durationToBpm(duration, stepsPerBeat = DEFAULT_STEPS_PER_BEAT) {
+  return 60000 / duration / stepsPerBeat;
+}
+
+/**
+ * Creates a tap-tempo counter. Each call to the returned function records a
+ * tap and returns the tempo of the recent taps, or null until there are two.
+ * A pause longer than `maxGap` starts a new count.
+ * @param {Object} [options]
+ * @param {number} [options.maxGap=2000] - The longest gap between taps in ms.
+ * @param {number} [options.maxTaps=8] - How many recent taps are averaged.
+ * @returns {() => ?number} - The tap function, returning beats per minute.
+ */
+export function createTapTempo({ maxGap = 2000, maxTaps = 8 } = {}) {
+  let taps = [];
+  return function tap(now = performance.now()) {
+    if (taps.length && now - taps[taps.length - 1] > maxGap) taps = [];
+    taps = [...taps, now].slice(-maxTaps);
+    if (taps.length < 2) return null;
+    const interval = (taps[taps.length - 1] - taps[0]) / (taps.length - 1);
+    return 60000 / interval;
+  };
+}
@@ -0,0 +1,184 @@
+import { createId, quantizeLevels } from "./sequences.js";
+import { randomSeed } from "./random.js";
+import { stepDurations } from "./timing.js";
+
+// Pure transforms applied to a sequence after it has been generated. Each
+// takes a sequence and returns a new one, leaving the original alone. The
+// result is a manual sequence, so the transformed values aren't regenerated
+// away by a later edit. Per-step durations travel with their steps.
+
+/**
+ * Flips the levels, so the strongest steps become the weakest.
+ * @param {Object} sequence - The sequence.
+ * @returns {Object} - The inverted sequence.
+ */
+export function invert(sequence) {
+  return withValues(sequence, sequence.values.map((level) => 1 - level));
+}
+
+/**
+ * Plays the sequence backwards.
+ * @param {Object} sequence - The sequence.
+ * @returns {Object} - The reversed sequence.
+ */
+export function reverse(sequence) {
+  return withSteps(sequence, (steps) => [...steps].reverse());
+}
+
+/**
+ * Follows the sequence with itself played backwards, doubling its length.
+ * @param {Object} sequence - The sequence.
+ * @returns {Object} - The mirrored sequence.
+ */
+export function mirror(sequence) {
+  return withSteps(sequence, (steps) => [...steps, ...[...steps].reverse()]);
+}
+
+/**
+ * Rotates the steps, wrapping those pushed off one end round to the other.
+ * @param {Object} sequence - The sequence.
+ * @param {number} offset - Steps to move right; negative moves left.
+ * @returns {Object} - The shifted sequence.
+ */
+export function shift(sequence, offset) {
+  const length = sequence.values.length;
+  const start = ((-Math.round(offset) % length) + length) % length;
+  return withSteps(sequence, (steps) => [...steps.slice(start), ...steps.slice(0, start)]);
+}
+
+/**
+ * Resamples the pattern to a new number of steps, each lasting as long as
+ * before, so the pattern is stretched or compressed in time. The first and
+ * last steps keep their levels.
+ * @param {Object} sequence - The sequence.
+ * @param {number} columns - The new number of steps.
+ * @returns {Object} - The resampled sequence.
+ */
+export function stretch(sequence, columns) {
+  const { values } = sequence;
+  const count = Math.max(1, Math.round(columns));
+  const position = (i) => (count > 1 ? i * (values.length - 1) / (count - 1) : 0);
+  const resampled = Array.from({ length: count }, (_, i) => {
+    const at = position(i);
+    const from = Math.floor(at);
+    const to = Math.min(values.length - 1, from + 1);
+    return values[from] + (values[to] - values[from]) * (at - from);
+  });
+  const stretched = withValues(sequence, resampled);
+  if (sequence.stepDurations) {
+    stretched.stepDurations = resampled.map((_, i) => sequence.stepDurations[Math.round(position(i))] || null);
+  }
+  return stretched;
+}
+
+/**
+ * Scales the levels and adds an offset, clamping the result to 0..1.
+ * @param {Object} sequence - The sequence.
+ * @param {number} gain - The factor each level is multiplied by.
+ * @param {number} [offset=0] - Added after scaling.
+ * @returns {Object} - The scaled sequence.
+ */
+export function scale(sequence, gain, offset = 0) {
+  return withValues(sequence, sequence.values.map((level) => clamp(level * gain + offset)));
+}
+
+/**
+ * Smooths the pattern with a moving average, wrapping around the loop.
+ * @param {Object} sequence - The sequence.
+ * @param {number} [radius=1] - Steps on each side averaged with each step.
+ * @returns {Object} - The smoothed sequence.
+ */
+export function smooth(sequence, radius = 1) {
+  const { values } = sequence;
+  const length = values.length;
+  const width = Math.max(0, Math.round(radius));
+  return withValues(sequence, values.map((_, i) => {
+    let sum = 0;
+    for (let k = -width; k <= width; k++) sum += values[(((i + k) % length) + length) % length];
+    return sum / (2 * width + 1);
+  }));
+}
+
+/**
+ * Snaps the levels to a number of evenly spaced steps.
+ * @param {Object} sequence - The sequence.
+ * @param {number} [levels=sequence.rows] - How many levels to keep, at least 2.
+ * @returns {Object} - The quantized sequence.
+ */
+export function quantize(sequence, levels = sequence.rows) {
+  return withValues(sequence, quantizeLevels(sequence.values, Math.max(2, Math.round(levels))));
+}
+
+/**
+ * Joins two sequences into a new one that plays the first and then the
+ * second. Each step keeps the length it had, swing and tempo curve included.
+ * @param {Object} first - The sequence played first.
+ * @param {Object} second - The sequence played after it.
+ * @returns {Object} - The new sequence, with its own id.
+ */
+export function concatenate(first, second) {
+  return crossfade(first, second, 0);
+}
+
+/**
+ * Joins two sequences into a new one, overlapping the end of the first with
+ * the start of the second. Over the overlap the first fades out as the
+ * second fades in, and the step lengths blend the same way.
+ * @param {Object} first - The sequence played first.
+ * @param {Object} second - The sequence played after it.
+ * @param {number} overlap - How many steps overlap, limited to the shorter
+ *   sequence's length.
+ * @returns {Object} - The new sequence, with its own id.
+ */
+export function crossfade(first, second, overlap) {
+  const length = Math.max(0, Math.min(Math.round(overlap), first.values.length, second.values.length));
+  const firstDurations = stepDurations(first);
+  const secondDurations = stepDurations(second);
+  const start = first.values.length - length;
+  const fade = (a, b, i) => {
+    const t = (i + 1) / (length + 1);
+    return a * (1 - t) + b * t;
+  };
+  const values = [
+    ...first.values.slice(0, start),
+    ...second.values.slice(0, length).map((level, i) => fade(first.values[start + i], level, i)),
+    ...second.values.slice(length),
+  ];
+  const durations = [
+    ...firstDurations.slice(0, start),
+    ...secondDurations.slice(0, length).map((duration, i) => fade(firstDurations[start + i], duration, i)),
+    ...secondDurations.slice(length),
+  ].map((duration) => Math.round(duration));
+  return {
+    ...first,
+    id: createId(),
+    seed: randomSeed(),
+    mode: "manual",
+    values,
+    rows: Math.max(first.rows, second.rows),
+    duration: first.duration,
+    stepDurations: durations,
+    swing: 0,
+    tempoCurve: 0,
+    bpm: null,
+  };
+}
+
+// Replaces the levels, keeping everything else
+function withValues(sequence, values) {
+  return { ...sequence, mode: "manual", values };
+}
+
+// Rearranges the steps, moving each step's own duration along with its level
+function withSteps(sequence, rearrange) {
+  const rearranged = withValues(sequence, rearrange(sequence.values));
+  if (sequence.stepDurations) {
+    const own = sequence.values.map((_, i) => sequence.stepDurations[i] || null);
+    rearranged.stepDurations = rearrange(own);
+  }
+  return rearranged;
+}
+
+function clamp(level) {
+  return Math.max(0, Math.min(1, level));
+}